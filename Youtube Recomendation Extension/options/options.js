@@ -7,63 +7,28 @@
   "use strict";
 
   const API = typeof browser !== "undefined" ? browser : chrome;
-  const SETTINGS_KEY = "mvSettings";
-  const RESCAN_KEY = "mvRescanToken";
-
-  const DEFAULTS = globalThis.MV_DEFAULT_SETTINGS || {
-    strongMusicKeywords: [],
-    moderateMusicKeywords: [],
-    nonMusicKeywords: [],
-    channelMusicTokens: [],
-    defaultPolicy: "show",
-    showBlocked: false,
-    debounceMs: 60,
-    debugMode: false
-  };
+  const PATTERNS = globalThis.MV_PATTERNS || null;
+  const STORE = globalThis.MV_SETTINGS;
+  const MESSAGES = globalThis.MV_MESSAGES;
+  const CLASSIFIER = globalThis.MV_CLASSIFIER;
+  const SCAN_CONTEXTS = globalThis.MV_SCAN_CONTEXTS || [];
+  const KEYWORD_PACKS = globalThis.MV_KEYWORD_PACKS || {};
+  const { OVERRIDES_KEY, FILTER_LISTS_KEY } = STORE.KEYS;
+  const FILTER_LIST_KEYS = globalThis.MV_FILTER_LIST_KEYS || [
+    "strongMusicKeywords",
+    "moderateMusicKeywords",
+    "nonMusicKeywords",
+    "channelMusicTokens",
+    "channelAllowList",
+    "channelBlockList"
+  ];
+
+  const DEFAULTS = STORE.DEFAULTS;
 
   // -----------------------------------------
-  // Storage helpers
+  // Storage helpers (shared, src/settings.js)
   // -----------------------------------------
-  function storageGet(defaults) {
-    return new Promise((resolve) => {
-      try {
-        if (API?.storage?.local?.get) {
-          const maybePromise = API.storage.local.get(defaults, (result) => {
-            if (API?.runtime?.lastError) {
-              resolve(defaults);
-            } else {
-              resolve(result);
-            }
-          });
-
-          if (maybePromise && typeof maybePromise.then === "function") {
-            maybePromise.then(resolve).catch(() => resolve(defaults));
-          }
-        } else {
-          resolve(defaults);
-        }
-      } catch (err) {
-        resolve(defaults);
-      }
-    });
-  }
-
-  function storageSet(data) {
-    return new Promise((resolve) => {
-      try {
-        if (API?.storage?.local?.set) {
-          const maybePromise = API.storage.local.set(data, () => resolve());
-          if (maybePromise && typeof maybePromise.then === "function") {
-            maybePromise.then(resolve).catch(resolve);
-          }
-        } else {
-          resolve();
-        }
-      } catch (err) {
-        resolve();
-      }
-    });
-  }
+  const { storageGet, storageSet } = STORE;
 
   // -----------------------------------------
   // UI elements
@@ -72,13 +37,58 @@
   const moderateListEl = document.getElementById("moderateList");
   const nonMusicListEl = document.getElementById("nonMusicList");
   const channelTokensEl = document.getElementById("channelTokens");
+  const channelAllowEl = document.getElementById("channelAllowList");
+  const channelBlockEl = document.getElementById("channelBlockList");
+  const keywordPacksEl = document.getElementById("keywordPacks");
   const defaultShowEl = document.getElementById("defaultShow");
   const defaultHideEl = document.getElementById("defaultHide");
+  const modeCascadeEl = document.getElementById("modeCascade");
+  const modeScoreEl = document.getElementById("modeScore");
+  const weightInputs = document.querySelectorAll("input[data-weight]");
+  const scoreThresholdEl = document.getElementById("scoreThreshold");
+  const structuralSelects = document.querySelectorAll("select[data-structural]");
+  const durationInputs = document.querySelectorAll("input[data-duration]");
+  const livePolicyEl = document.getElementById("liveWithoutDurationPolicy");
+  const durationErrorsEl = document.getElementById("durationErrors");
   const showBlockedEl = document.getElementById("showBlocked");
+  const blockedDisplayEl = document.getElementById("blockedDisplay");
   const debugModeEl = document.getElementById("debugMode");
   const debounceEl = document.getElementById("debounceMs");
+  const homeBackfillTargetEl = document.getElementById("homeBackfillTarget");
+  const showHiddenCounterEl = document.getElementById("showHiddenCounter");
+  const statusEl = document.getElementById("status");
+  const patternListEls = [strongListEl, moderateListEl, nonMusicListEl, channelTokensEl];
+  const channelListEls = [channelAllowEl, channelBlockEl];
   const saveButton = document.getElementById("save");
   const resetButton = document.getElementById("reset");
+  const clearCacheButton = document.getElementById("clearCache");
+  const overrideListEl = document.getElementById("overrideList");
+  const overrideEmptyEl = document.getElementById("overrideEmpty");
+  const clearOverridesButton = document.getElementById("clearOverrides");
+  const filterListsEl = document.getElementById("filterLists");
+  const filterListsEmptyEl = document.getElementById("filterListsEmpty");
+  const addFilterListFileButton = document.getElementById("addFilterListFile");
+  const filterListFileEl = document.getElementById("filterListFile");
+  const filterListUrlEl = document.getElementById("filterListUrl");
+  const subscribeFilterListButton = document.getElementById("subscribeFilterList");
+  const exportChannelsEl = document.getElementById("exportChannels");
+  const exportOverridesEl = document.getElementById("exportOverrides");
+  const exportButton = document.getElementById("exportSettings");
+  const importButton = document.getElementById("importSettings");
+  const importFileEl = document.getElementById("importFile");
+  const importPreviewEl = document.getElementById("importPreview");
+  const importTitleEl = document.getElementById("importTitle");
+  const importErrorsEl = document.getElementById("importErrors");
+  const importMergeEl = document.getElementById("importMerge");
+  const importReplaceEl = document.getElementById("importReplace");
+  const importDiffEl = document.getElementById("importDiff");
+  const applyImportButton = document.getElementById("applyImport");
+  const cancelImportButton = document.getElementById("cancelImport");
+  const syncEnabledEl = document.getElementById("syncEnabled");
+  const syncStatusEl = document.getElementById("syncStatus");
+  const testSamplesEl = document.getElementById("testSamples");
+  const testContextEl = document.getElementById("testContext");
+  const testResultsEl = document.getElementById("testResults");
 
   // -----------------------------------------
   // Helper functions for lists
@@ -95,17 +105,137 @@
       .filter(Boolean);
   }
 
+  function setStatus(message, isError) {
+    statusEl.textContent = message || "";
+    statusEl.classList.toggle("error", Boolean(isError));
+  }
+
+  // -----------------------------------------
+  // Language keyword packs
+  // -----------------------------------------
+  function renderKeywordPacks(enabled) {
+    keywordPacksEl.textContent = "";
+    Object.entries(KEYWORD_PACKS).forEach(([packId, pack]) => {
+      const label = document.createElement("label");
+      label.className = "row";
+
+      const checkbox = document.createElement("input");
+      checkbox.type = "checkbox";
+      checkbox.value = packId;
+      checkbox.checked = Array.isArray(enabled) && enabled.includes(packId);
+
+      const text = document.createElement("span");
+      const samples = [...(pack.strongMusicKeywords || []), ...(pack.nonMusicKeywords || [])];
+      text.textContent = `${pack.label || packId} (${samples.slice(0, 4).join(", ")}, \u2026)`;
+
+      label.append(checkbox, text);
+      keywordPacksEl.appendChild(label);
+    });
+  }
+
+  function readKeywordPacks() {
+    return [...keywordPacksEl.querySelectorAll("input[type=checkbox]")]
+      .filter((checkbox) => checkbox.checked)
+      .map((checkbox) => checkbox.value);
+  }
+
+  // -----------------------------------------
+  // Pattern validation (re: / glob: entries) and channel entries
+  // -----------------------------------------
+  function showEntryProblems(textarea, problems) {
+    const errorsEl = document.querySelector(`.pattern-errors[data-for="${textarea.id}"]`);
+
+    errorsEl.textContent = "";
+    problems.forEach((problem) => {
+      const item = document.createElement("li");
+      item.textContent = `Line ${problem.line}: ${problem.entry} \u2014 ${problem.message}`;
+      errorsEl.appendChild(item);
+    });
+    textarea.classList.toggle("invalid", problems.length > 0);
+
+    return problems.length;
+  }
+
+  function showPatternProblems(textarea) {
+    return showEntryProblems(textarea, PATTERNS ? PATTERNS.validateEntries(textarea.value.split(/\n/)) : []);
+  }
+
+  // Display names and broken URLs would never match a tile.
+  function showChannelProblems(textarea) {
+    return showEntryProblems(textarea, CLASSIFIER.validateChannelEntries(textarea.value.split(/\n/)));
+  }
+
+  function validateChannels() {
+    let problemCount = 0;
+    channelListEls.forEach((textarea) => {
+      problemCount += showChannelProblems(textarea);
+    });
+    return problemCount === 0;
+  }
+
+  function validatePatterns() {
+    let problemCount = 0;
+    patternListEls.forEach((textarea) => {
+      problemCount += showPatternProblems(textarea);
+    });
+    return problemCount === 0;
+  }
+
+  // -----------------------------------------
+  // Duration validation
+  // -----------------------------------------
+  function readDurations() {
+    const durations = {};
+    durationInputs.forEach((input) => {
+      durations[input.dataset.duration] = input.value === "" ? NaN : Number(input.value);
+    });
+    return durations;
+  }
+
+  function validateDurations() {
+    const d = readDurations();
+    const problems = [];
+
+    durationInputs.forEach((input) => {
+      const value = d[input.dataset.duration];
+      const bad = !Number.isFinite(value) || value < 0;
+      input.classList.toggle("invalid", bad);
+      if (bad) {
+        const label = input.parentElement.querySelector(".label");
+        problems.push(`${label ? label.textContent : input.dataset.duration} must be 0 or more.`);
+      }
+    });
+
+    if (d.musicMinSeconds > d.musicMaxSeconds) {
+      problems.push("Music min must not be greater than music max.");
+    }
+    if (d.extremeShortSeconds >= d.extremeLongSeconds) {
+      problems.push("Extremely short must be less than extremely long.");
+    }
+
+    durationErrorsEl.textContent = "";
+    problems.forEach((message) => {
+      const item = document.createElement("li");
+      item.textContent = message;
+      durationErrorsEl.appendChild(item);
+    });
+
+    return problems.length === 0;
+  }
+
   // -----------------------------------------
   // Load settings into the form
   // -----------------------------------------
   async function loadSettings() {
-    const data = await storageGet({ [SETTINGS_KEY]: DEFAULTS });
-    const current = { ...DEFAULTS, ...(data[SETTINGS_KEY] || {}) };
+    const current = await STORE.load();
 
     strongListEl.value = listToText(current.strongMusicKeywords);
     moderateListEl.value = listToText(current.moderateMusicKeywords);
     nonMusicListEl.value = listToText(current.nonMusicKeywords);
     channelTokensEl.value = listToText(current.channelMusicTokens);
+    channelAllowEl.value = listToText(current.channelAllowList);
+    channelBlockEl.value = listToText(current.channelBlockList);
+    renderKeywordPacks(current.keywordPacks);
 
     if (current.defaultPolicy === "hide") {
       defaultHideEl.checked = true;
@@ -113,49 +243,931 @@
       defaultShowEl.checked = true;
     }
 
+    if (current.classifierMode === "score") {
+      modeScoreEl.checked = true;
+    } else {
+      modeCascadeEl.checked = true;
+    }
+
+    const weights = STORE.getGroup(current, "scoreWeights");
+    weightInputs.forEach((input) => {
+      input.value = Number(weights[input.dataset.weight]) || 0;
+    });
+    scoreThresholdEl.value = STORE.getNumber(current, "scoreThreshold");
+
+    const verdicts = STORE.getGroup(current, "structuralVerdicts");
+    structuralSelects.forEach((select) => {
+      select.value = verdicts[select.dataset.structural] || "classify";
+    });
+
+    durationInputs.forEach((input) => {
+      input.value = STORE.getNumber(current, input.dataset.duration);
+    });
+    livePolicyEl.value = STORE.getChoice(current, "liveWithoutDurationPolicy");
+
     showBlockedEl.checked = Boolean(current.showBlocked);
+    blockedDisplayEl.value = STORE.getChoice(current, "blockedDisplay");
     debugModeEl.checked = Boolean(current.debugMode);
-    debounceEl.value = Number(current.debounceMs) || DEFAULTS.debounceMs;
+    debounceEl.value = STORE.getNumber(current, "debounceMs");
+    homeBackfillTargetEl.value = STORE.getNumber(current, "homeBackfillTarget");
+    showHiddenCounterEl.checked = Boolean(current.showHiddenCounter);
+    validatePatterns();
+    validateChannels();
+    validateDurations();
+
+    storedSettings = current;
+    scheduleTests();
   }
 
   // -----------------------------------------
   // Save settings from the form
   // -----------------------------------------
-  async function saveSettings() {
-    const newSettings = {
+  function readWeights() {
+    const weights = {};
+    weightInputs.forEach((input) => {
+      const value = Number(input.value);
+      weights[input.dataset.weight] = Number.isFinite(value)
+        ? value
+        : (DEFAULTS.scoreWeights?.[input.dataset.weight] || 0);
+    });
+    return weights;
+  }
+
+  function readStructuralVerdicts() {
+    const verdicts = {};
+    structuralSelects.forEach((select) => {
+      verdicts[select.dataset.structural] = select.value;
+    });
+    return verdicts;
+  }
+
+  // The form on top of `current`, which keeps the settings this page does
+  // not edit.
+  function readFormSettings(current) {
+    const threshold = Number(scoreThresholdEl.value);
+
+    return {
+      ...current,
       strongMusicKeywords: textToList(strongListEl.value),
       moderateMusicKeywords: textToList(moderateListEl.value),
       nonMusicKeywords: textToList(nonMusicListEl.value),
       channelMusicTokens: textToList(channelTokensEl.value),
+      channelAllowList: textToList(channelAllowEl.value),
+      channelBlockList: textToList(channelBlockEl.value),
+      keywordPacks: readKeywordPacks(),
       defaultPolicy: defaultHideEl.checked ? "hide" : "show",
+      classifierMode: modeScoreEl.checked ? "score" : "cascade",
+      structuralVerdicts: readStructuralVerdicts(),
+      scoreWeights: readWeights(),
+      scoreThreshold: Number.isFinite(threshold) ? threshold : DEFAULTS.scoreThreshold,
+      ...readDurations(),
+      liveWithoutDurationPolicy: livePolicyEl.value,
       showBlocked: showBlockedEl.checked,
+      blockedDisplay: blockedDisplayEl.value,
+      homeBackfillTarget: Math.max(0, Math.round(Number(homeBackfillTargetEl.value) || 0)),
+      showHiddenCounter: showHiddenCounterEl.checked,
       debounceMs: Number(debounceEl.value) || DEFAULTS.debounceMs,
       debugMode: debugModeEl.checked
     };
+  }
+
+  async function saveSettings() {
+    if (!validatePatterns()) {
+      setStatus("Fix the invalid patterns highlighted above before saving.", true);
+      return;
+    }
+    if (!validateChannels()) {
+      setStatus("Fix the channel entries highlighted above before saving.", true);
+      return;
+    }
+    if (!validateDurations()) {
+      setStatus("Fix the duration settings highlighted above before saving.", true);
+      return;
+    }
 
-    await storageSet({ [SETTINGS_KEY]: newSettings });
+    // Start from what is stored so settings edited elsewhere (popup) survive.
+    const current = await STORE.load();
+    const newSettings = readFormSettings(current);
 
-    // Trigger an immediate rescan on any open YouTube tabs.
-    await storageSet({ [RESCAN_KEY]: Date.now() });
+    // Open YouTube tabs rescan as soon as the stored settings change.
+    await STORE.save(newSettings);
+    storedSettings = newSettings;
+    setStatus("Settings saved.");
   }
 
   // -----------------------------------------
   // Reset to defaults
   // -----------------------------------------
   async function resetSettings() {
-    await storageSet({ [SETTINGS_KEY]: DEFAULTS });
-    await storageSet({ [RESCAN_KEY]: Date.now() });
+    await STORE.save(DEFAULTS);
+    await loadSettings();
+    setStatus("Defaults restored.");
+  }
+
+  // -----------------------------------------
+  // Clear cached decisions
+  // -----------------------------------------
+  // The background worker owns the cache and tells every YouTube tab.
+  async function clearCache() {
+    await MESSAGES.send({ type: MESSAGES.TYPES.CLEAR_CACHE });
+  }
+
+  // -----------------------------------------
+  // Pinned videos (per-video overrides)
+  // -----------------------------------------
+  function renderOverrides(overrides) {
+    const entries = Object.entries(overrides || {})
+      .filter(([, entry]) => entry && typeof entry.isMusic === "boolean")
+      .sort((a, b) => (b[1].ts || 0) - (a[1].ts || 0));
+
+    overrideListEl.textContent = "";
+    overrideEmptyEl.hidden = entries.length > 0;
+    clearOverridesButton.disabled = entries.length === 0;
+
+    entries.forEach(([videoId, entry]) => {
+      const item = document.createElement("li");
+      item.className = "override-item";
+
+      const verdict = document.createElement("span");
+      verdict.className = entry.isMusic ? "verdict music" : "verdict non-music";
+      verdict.textContent = entry.isMusic ? "Always show" : "Always hide";
+
+      const link = document.createElement("a");
+      link.href = `https://www.youtube.com/watch?v=${encodeURIComponent(videoId)}`;
+      link.target = "_blank";
+      link.rel = "noopener noreferrer";
+      link.textContent = entry.title || videoId;
+
+      const channel = document.createElement("span");
+      channel.className = "channel";
+      channel.textContent = entry.channel || "";
+
+      const remove = document.createElement("button");
+      remove.type = "button";
+      remove.textContent = "Remove";
+      remove.addEventListener("click", () => removeOverride(videoId));
+
+      item.append(verdict, link, channel, remove);
+      overrideListEl.appendChild(item);
+    });
+  }
+
+  async function loadOverrides() {
+    const data = await storageGet({ [OVERRIDES_KEY]: {} });
+    trackOverrides(data[OVERRIDES_KEY]);
+  }
+
+  function trackOverrides(overrides) {
+    storedOverrides = overrides || {};
+    renderOverrides(storedOverrides);
+    scheduleTests();
+  }
+
+  async function removeOverride(videoId) {
+    const data = await storageGet({ [OVERRIDES_KEY]: {} });
+    const next = { ...(data[OVERRIDES_KEY] || {}) };
+    delete next[videoId];
+    await storageSet({ [OVERRIDES_KEY]: next });
+  }
+
+  async function clearOverrides() {
+    await storageSet({ [OVERRIDES_KEY]: {} });
+  }
+
+  // Keep the list in sync with pins added from YouTube tabs.
+  STORE.subscribe({
+    [OVERRIDES_KEY]: trackOverrides,
+    [FILTER_LISTS_KEY]: renderFilterLists,
+    [STORE.KEYS.SYNC_STATE_KEY]: loadSyncStatus
+  });
+
+  // -----------------------------------------
+  // Filter lists (shared keyword/channel lists)
+  // -----------------------------------------
+  const FILTER_LIST_FORMAT = "mv-filter-list";
+
+  // Checks a filter list file. Returns { errors, list: { name, version, lists } }.
+  function validateFilterList(data) {
+    const errors = [];
+    if (!data || typeof data !== "object" || Array.isArray(data) || data.format !== FILTER_LIST_FORMAT) {
+      return { errors: [`Not a filter list (expected "format": "${FILTER_LIST_FORMAT}").`] };
+    }
+    if (typeof data.name !== "string" || !data.name.trim()) {
+      errors.push("The filter list has no name.");
+    }
+    if (typeof data.version !== "string" && typeof data.version !== "number") {
+      errors.push("The filter list has no version.");
+    }
+    if (!data.lists || typeof data.lists !== "object" || Array.isArray(data.lists)) {
+      errors.push("The filter list has no lists.");
+    }
+    if (errors.length > 0) {
+      return { errors };
+    }
+
+    const lists = {};
+    Object.entries(data.lists).forEach(([key, entries]) => {
+      if (!FILTER_LIST_KEYS.includes(key)) {
+        errors.push(`Unknown list "${key}".`);
+        return;
+      }
+      if (!Array.isArray(entries) || !entries.every((entry) => typeof entry === "string")) {
+        errors.push(`"${key}" must be a list of text entries.`);
+        return;
+      }
+      const problems = PATTERNS ? PATTERNS.validateEntries(entries) : [];
+      problems.forEach((problem) => {
+        errors.push(`${key}, line ${problem.line}: ${problem.entry} \u2014 ${problem.message}`);
+      });
+      lists[key] = entries.map((entry) => entry.trim()).filter(Boolean);
+    });
+
+    return {
+      errors,
+      list: { name: data.name.trim(), version: String(data.version), lists }
+    };
+  }
+
+  async function readFilterLists() {
+    const data = await storageGet({ [FILTER_LISTS_KEY]: [] });
+    return Array.isArray(data[FILTER_LISTS_KEY]) ? data[FILTER_LISTS_KEY] : [];
+  }
+
+  // Adds a list, or replaces the entries of the list with the same id.
+  // Only the list's own entries change; the user's lists are never touched.
+  async function storeFilterList(id, source, url, parsed) {
+    const { errors, list } = validateFilterList(parsed);
+    if (errors.length > 0) {
+      setStatus(errors.slice(0, 3).join(" "), true);
+      return;
+    }
+
+    const existing = await readFilterLists();
+    const index = existing.findIndex((entry) => entry.id === id);
+    const previous = index >= 0 ? existing[index] : null;
+
+    if (previous && previous.version === list.version &&
+        JSON.stringify(previous.lists) === JSON.stringify(list.lists)) {
+      setStatus(`"${list.name}" is already up to date (version ${list.version}).`);
+      return;
+    }
+
+    const entry = {
+      id,
+      name: list.name,
+      version: list.version,
+      source,
+      url,
+      enabled: previous ? previous.enabled !== false : true,
+      updatedAt: Date.now(),
+      lists: list.lists
+    };
+    const next = [...existing];
+    if (index >= 0) {
+      next[index] = entry;
+    } else {
+      next.push(entry);
+    }
+
+    await storageSet({ [FILTER_LISTS_KEY]: next });
+    setStatus(previous
+      ? `Updated "${list.name}" from version ${previous.version} to ${list.version}.`
+      : `Added "${list.name}" (version ${list.version}).`);
+  }
+
+  async function loadFilterListFile() {
+    const file = filterListFileEl.files && filterListFileEl.files[0];
+    filterListFileEl.value = "";
+    if (!file) return;
+
+    let parsed = null;
+    try {
+      parsed = JSON.parse(await file.text());
+    } catch (err) {
+      setStatus("The file is not valid JSON.", true);
+      return;
+    }
+
+    // Loading a file with the same list name again updates that list.
+    const name = parsed && typeof parsed.name === "string" ? parsed.name.trim() : file.name;
+    await storeFilterList(`file:${name}`, "file", "", parsed);
+  }
+
+  // Asks for access to the list's site only (optional host permission).
+  function requestOrigin(url) {
+    return new Promise((resolve) => {
+      try {
+        if (!API?.permissions?.request) {
+          resolve(true);
+          return;
+        }
+        const maybePromise = API.permissions.request({ origins: [`${url.origin}/*`] }, (granted) => {
+          resolve(Boolean(granted));
+        });
+        if (maybePromise && typeof maybePromise.then === "function") {
+          maybePromise.then((granted) => resolve(Boolean(granted))).catch(() => resolve(false));
+        }
+      } catch (err) {
+        resolve(false);
+      }
+    });
+  }
+
+  async function fetchFilterList(urlText) {
+    let url;
+    try {
+      url = new URL(urlText);
+    } catch (err) {
+      setStatus("Enter the full address of the filter list (https://...).", true);
+      return;
+    }
+    if (url.protocol !== "https:" && url.protocol !== "http:") {
+      setStatus("Filter lists can only be loaded from http(s) addresses.", true);
+      return;
+    }
+
+    // The permission prompt must be the first thing after the click.
+    const granted = await requestOrigin(url);
+    if (!granted) {
+      setStatus(`Access to ${url.origin} was not allowed.`, true);
+      return;
+    }
+
+    let parsed = null;
+    try {
+      const response = await fetch(url.href, { cache: "no-cache", credentials: "omit" });
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+      parsed = await response.json();
+    } catch (err) {
+      setStatus(`Could not load ${url.href}: ${err.message}`, true);
+      return;
+    }
+
+    await storeFilterList(url.href, "url", url.href, parsed);
+  }
+
+  async function setFilterListEnabled(id, enabled) {
+    const next = (await readFilterLists()).map((entry) =>
+      entry.id === id ? { ...entry, enabled } : entry
+    );
+    await storageSet({ [FILTER_LISTS_KEY]: next });
+  }
+
+  async function removeFilterList(id) {
+    const next = (await readFilterLists()).filter((entry) => entry.id !== id);
+    await storageSet({ [FILTER_LISTS_KEY]: next });
+  }
+
+  function renderFilterLists(lists) {
+    const entries = Array.isArray(lists) ? lists : [];
+    storedFilterLists = entries;
+    scheduleTests();
+
+    filterListsEl.textContent = "";
+    filterListsEmptyEl.hidden = entries.length > 0;
+
+    entries.forEach((entry) => {
+      const item = document.createElement("li");
+      item.className = "filter-list-item";
+
+      const enabled = document.createElement("input");
+      enabled.type = "checkbox";
+      enabled.checked = entry.enabled !== false;
+      enabled.title = "Use this list";
+      enabled.addEventListener("change", () => setFilterListEnabled(entry.id, enabled.checked));
+
+      const name = document.createElement("span");
+      name.className = "name";
+      name.textContent = `${entry.name} (version ${entry.version})`;
+
+      const count = Object.values(entry.lists || {})
+        .reduce((total, list) => total + (Array.isArray(list) ? list.length : 0), 0);
+      const meta = document.createElement("span");
+      meta.className = "meta";
+      meta.textContent = `${count} entries \u00b7 ${entry.source === "url" ? entry.url : "local file"}` +
+        ` \u00b7 updated ${new Date(entry.updatedAt || 0).toLocaleDateString()}`;
+
+      const update = document.createElement("button");
+      update.type = "button";
+      update.textContent = entry.source === "url" ? "Update" : "Load new version";
+      update.addEventListener("click", () => {
+        if (entry.source === "url") {
+          fetchFilterList(entry.url);
+        } else {
+          filterListFileEl.click();
+        }
+      });
+
+      const remove = document.createElement("button");
+      remove.type = "button";
+      remove.textContent = "Remove";
+      remove.addEventListener("click", () => removeFilterList(entry.id));
+
+      item.append(enabled, name, meta, update, remove);
+      filterListsEl.appendChild(item);
+    });
+  }
+
+  // -----------------------------------------
+  // Test panel (sample videos checked against the unsaved form)
+  // -----------------------------------------
+  // The form changes on every keystroke; results are redrawn once it settles.
+  const TEST_DELAY_MS = 150;
+
+  // What was last loaded or saved, plus the filter lists, so the panel can
+  // apply the form without reading storage on every keystroke.
+  let storedSettings = null;
+  let storedFilterLists = [];
+  let storedOverrides = {};
+  let testTimer = null;
+
+  const MATCH_FIELDS = {
+    title: "in title",
+    channel: "in channel",
+    "title+channel": "across title and channel"
+  };
+
+  function renderTestContexts() {
+    const options = [{ id: "", label: "Any page (no page profile)" }, ...SCAN_CONTEXTS];
+    options.forEach((context) => {
+      const option = document.createElement("option");
+      option.value = context.id;
+      option.textContent = context.label;
+      testContextEl.appendChild(option);
+    });
+  }
+
+  // One sample per line: "title | channel | duration".
+  // A video ID, or the ID in a watch, Shorts or youtu.be link.
+  function videoIdFrom(text) {
+    const match = text.match(/(?:[?&]v=|youtu\.be\/|\/shorts\/)([\w-]{11})/) || text.match(/^([\w-]{11})$/);
+    return match ? match[1] : "";
+  }
+
+  function readTestSamples() {
+    return textToList(testSamplesEl.value).map((line) => {
+      const [title = "", channel = "", durationText = "", video = ""] = line.split("|").map((part) => part.trim());
+      return {
+        title,
+        channel,
+        durationText,
+        channelHandle: channel.startsWith("@") ? channel : "",
+        videoId: videoIdFrom(video)
+      };
+    });
+  }
+
+  function renderTestResult(sample, result) {
+    const item = document.createElement("li");
+    item.className = "test-result";
+
+    const summary = document.createElement("div");
+    summary.className = "summary";
+
+    const verdict = document.createElement("span");
+    verdict.className = `verdict ${result.isMusic ? "music" : "non-music"}`;
+    verdict.textContent = result.isMusic ? "Shown" : "Hidden";
+
+    const text = document.createElement("span");
+    text.className = "sample";
+    text.textContent = [sample.title || "(no title)", sample.channel, sample.durationText]
+      .filter(Boolean)
+      .join(" \u00b7 ");
+
+    const reason = document.createElement("span");
+    reason.className = "reason";
+    reason.textContent = result.reason;
+
+    const match = document.createElement("span");
+    match.className = "match";
+    match.textContent = (result.explanation?.matches || [])
+      .map((entry) => `"${entry.keyword}" ${MATCH_FIELDS[entry.field] || ""}`.trim())
+      .join(", ");
+
+    summary.append(verdict, text, reason, match);
+
+    // The first sentence repeats the verdict.
+    const details = document.createElement("p");
+    details.className = "hint";
+    details.textContent = CLASSIFIER.describeDecision(result).slice(1).join(" ");
+
+    item.append(summary, details);
+    return item;
+  }
+
+  function runTests() {
+    testTimer = null;
+    testResultsEl.textContent = "";
+    if (!storedSettings) return;
+
+    const samples = readTestSamples();
+    if (samples.length === 0) return;
+
+    // Invalid patterns are skipped here, as on YouTube; they are already
+    // flagged under their list.
+    const settings = readFormSettings(storedSettings);
+    const rules = {
+      settings,
+      matchers: CLASSIFIER.buildMatchers(settings, storedFilterLists),
+      overrides: storedOverrides
+    };
+    const profile = CLASSIFIER.buildContextSettings(settings, testContextEl.value);
+
+    samples.forEach((sample) => {
+      const result = CLASSIFIER.classify(CLASSIFIER.videoDataFrom(sample), profile, rules);
+      testResultsEl.appendChild(renderTestResult(sample, result));
+    });
+  }
+
+  function scheduleTests() {
+    if (testTimer) return;
+    testTimer = setTimeout(runTests, TEST_DELAY_MS);
+  }
+
+  // -----------------------------------------
+  // Import / export (versioned JSON file)
+  // -----------------------------------------
+  const EXPORT_FORMAT = "mv-settings";
+  const EXPORT_VERSION = 1;
+  const CHANNEL_LIST_KEYS = ["channelAllowList", "channelBlockList"];
+
+  // The validated file waiting for "Apply import".
+  // { name, exportedAt, settings, overrides, warnings }
+  let pendingImport = null;
+
+  async function exportSettings() {
+    const current = await STORE.load();
+    const exported = { ...current };
+    if (!exportChannelsEl.checked) {
+      CHANNEL_LIST_KEYS.forEach((key) => delete exported[key]);
+    }
+
+    const file = {
+      format: EXPORT_FORMAT,
+      version: EXPORT_VERSION,
+      exportedAt: new Date().toISOString(),
+      settings: exported
+    };
+    if (exportOverridesEl.checked) {
+      const data = await storageGet({ [OVERRIDES_KEY]: {} });
+      file.overrides = data[OVERRIDES_KEY] || {};
+    }
+
+    const blob = new Blob([JSON.stringify(file, null, 2)], { type: "application/json" });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = `music-filter-settings-${file.exportedAt.slice(0, 10)}.json`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+    setStatus("Settings exported.");
+  }
+
+  // A pin keeps only the fields the extension stores (see MV_SET_OVERRIDE in
+  // src/messages.js). Returns null when the video ID or verdict is unusable.
+  function sanitizeOverride(videoId, entry) {
+    if (!/^[A-Za-z0-9_-]+$/.test(videoId)) return null;
+    if (STORE.typeOf(entry) !== "object" || typeof entry.isMusic !== "boolean") return null;
+    return {
+      isMusic: entry.isMusic,
+      title: typeof entry.title === "string" ? entry.title.slice(0, 200) : "",
+      channel: typeof entry.channel === "string" ? entry.channel.slice(0, 100) : "",
+      ts: Number.isFinite(entry.ts) ? entry.ts : 0
+    };
+  }
+
+  // Checks an export file against the current settings schema.
+  // Returns { errors, warnings, settings, overrides }; errors block the import,
+  // warnings (unknown keys) are skipped.
+  function validateImport(file) {
+    const errors = [];
+    const warnings = [];
+
+    if (STORE.typeOf(file) !== "object" || file.format !== EXPORT_FORMAT) {
+      return { errors: ["This is not a settings file exported by this extension."], warnings };
+    }
+    if (!Number.isInteger(file.version) || file.version < 1) {
+      errors.push("The file has no valid version number.");
+    } else if (file.version > EXPORT_VERSION) {
+      errors.push(`The file is version ${file.version}; this extension reads up to version ${EXPORT_VERSION}. Update the extension first.`);
+    }
+    if (STORE.typeOf(file.settings) !== "object") {
+      errors.push("The file has no settings.");
+    }
+    if (errors.length > 0) {
+      return { errors, warnings };
+    }
+
+    const settings = {};
+    Object.entries(file.settings).forEach(([key, value]) => {
+      if (!Object.prototype.hasOwnProperty.call(DEFAULTS, key)) {
+        warnings.push(`Unknown setting "${key}" was skipped.`);
+        return;
+      }
+
+      const problem = STORE.validateValue(key, value);
+      if (problem) {
+        errors.push(problem);
+        return;
+      }
+      // The same checks as the list editors on this page.
+      if (Array.isArray(value)) {
+        let problems = PATTERNS ? PATTERNS.validateEntries(value) : [];
+        if (CHANNEL_LIST_KEYS.includes(key)) {
+          problems = CLASSIFIER.validateChannelEntries(value);
+        }
+        if (problems.length > 0) {
+          problems.forEach((entry) => {
+            errors.push(`${key}, line ${entry.line}: ${entry.entry} \u2014 ${entry.message}`);
+          });
+          return;
+        }
+      }
+      settings[key] = value;
+    });
+
+    let overrides = null;
+    if (file.overrides !== undefined) {
+      if (STORE.typeOf(file.overrides) !== "object") {
+        errors.push("Pinned videos must be an object keyed by video ID.");
+      } else {
+        overrides = {};
+        Object.entries(file.overrides).forEach(([videoId, entry]) => {
+          const pin = sanitizeOverride(videoId, entry);
+          if (pin) {
+            overrides[videoId] = pin;
+          } else {
+            errors.push(`Pinned video "${videoId}" is not valid.`);
+          }
+        });
+      }
+    }
+
+    return { errors, warnings, settings, overrides };
+  }
+
+  // Merge adds new list entries after the existing ones (ignoring case).
+  function mergeList(current, incoming) {
+    const seen = new Set(current.map((entry) => entry.trim().toLowerCase()));
+    const merged = [...current];
+    incoming.forEach((entry) => {
+      const key = entry.trim().toLowerCase();
+      if (key && !seen.has(key)) {
+        seen.add(key);
+        merged.push(entry);
+      }
+    });
+    return merged;
+  }
+
+  function buildImportedSettings(current, incoming, mode) {
+    if (mode === "replace") {
+      const next = { ...DEFAULTS, ...incoming };
+      // Channel lists left out of the export stay as they are.
+      CHANNEL_LIST_KEYS.forEach((key) => {
+        if (!(key in incoming)) next[key] = current[key];
+      });
+      return next;
+    }
+
+    const next = { ...current };
+    Object.entries(incoming).forEach(([key, value]) => {
+      if (Array.isArray(value)) {
+        next[key] = mergeList(Array.isArray(current[key]) ? current[key] : [], value);
+      } else if (STORE.typeOf(value) === "object") {
+        next[key] = { ...(current[key] || {}), ...value };
+      } else {
+        next[key] = value;
+      }
+    });
+    return next;
+  }
+
+  function buildImportedOverrides(current, incoming, mode) {
+    if (!incoming) return current;
+    return mode === "replace" ? { ...incoming } : { ...current, ...incoming };
+  }
+
+  function shortValue(value) {
+    const text = JSON.stringify(value);
+    if (text === undefined) return "(none)";
+    return text.length > 60 ? `${text.slice(0, 57)}...` : text;
+  }
+
+  function sampleEntries(entries) {
+    const sample = entries.slice(0, 3).join(", ");
+    return entries.length > 3 ? `${sample}, \u2026` : sample;
+  }
+
+  // One readable line per changed setting.
+  function diffSettings(before, after) {
+    const lines = [];
+    const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+
+    keys.forEach((key) => {
+      const oldValue = before[key];
+      const newValue = after[key];
+      if (JSON.stringify(oldValue) === JSON.stringify(newValue)) return;
+
+      if (Array.isArray(oldValue) || Array.isArray(newValue)) {
+        const oldList = Array.isArray(oldValue) ? oldValue : [];
+        const newList = Array.isArray(newValue) ? newValue : [];
+        const added = newList.filter((entry) => !oldList.includes(entry));
+        const removed = oldList.filter((entry) => !newList.includes(entry));
+        const parts = [];
+        if (added.length > 0) parts.push(`+${added.length} (${sampleEntries(added)})`);
+        if (removed.length > 0) parts.push(`-${removed.length} (${sampleEntries(removed)})`);
+        lines.push(`${key}: ${parts.join(", ") || "reordered"}`);
+        return;
+      }
+
+      lines.push(`${key}: ${shortValue(oldValue)} \u2192 ${shortValue(newValue)}`);
+    });
+
+    return lines;
+  }
+
+  function diffOverrides(before, after) {
+    const added = Object.keys(after).filter((videoId) => !(videoId in before)).length;
+    const removed = Object.keys(before).filter((videoId) => !(videoId in after)).length;
+    const changed = Object.keys(after).filter((videoId) =>
+      videoId in before && before[videoId].isMusic !== after[videoId].isMusic
+    ).length;
+    if (added + removed + changed === 0) return [];
+    return [`pinned videos: +${added}, -${removed}, ${changed} changed`];
+  }
+
+  function importMode() {
+    return importReplaceEl.checked ? "replace" : "merge";
+  }
+
+  function renderList(listEl, lines) {
+    listEl.textContent = "";
+    lines.forEach((line) => {
+      const item = document.createElement("li");
+      item.textContent = line;
+      listEl.appendChild(item);
+    });
+  }
+
+  async function renderImportPreview() {
+    if (!pendingImport) {
+      importPreviewEl.hidden = true;
+      return;
+    }
+
+    const current = await STORE.load();
+    const overridesData = await storageGet({ [OVERRIDES_KEY]: {} });
+    const currentOverrides = overridesData[OVERRIDES_KEY] || {};
+    const mode = importMode();
+
+    const lines = pendingImport.errors.length > 0 ? [] : [
+      ...diffSettings(current, buildImportedSettings(current, pendingImport.settings, mode)),
+      ...diffOverrides(currentOverrides, buildImportedOverrides(currentOverrides, pendingImport.overrides, mode))
+    ];
+
+    importTitleEl.textContent = pendingImport.exportedAt
+      ? `${pendingImport.name} (exported ${pendingImport.exportedAt.slice(0, 10)})`
+      : pendingImport.name;
+    renderList(importErrorsEl, [...pendingImport.errors, ...pendingImport.warnings]);
+    renderList(importDiffEl, pendingImport.errors.length > 0 ? [] : (lines.length > 0 ? lines : ["No changes."]));
+    applyImportButton.disabled = pendingImport.errors.length > 0 || lines.length === 0;
+    importPreviewEl.hidden = false;
+  }
+
+  async function readImportFile() {
+    const file = importFileEl.files && importFileEl.files[0];
+    importFileEl.value = "";
+    if (!file) return;
+
+    let parsed = null;
+    try {
+      parsed = JSON.parse(await file.text());
+    } catch (err) {
+      parsed = null;
+    }
+
+    const result = parsed === null
+      ? { errors: ["The file is not valid JSON."], warnings: [] }
+      : validateImport(parsed);
+
+    pendingImport = {
+      name: file.name,
+      exportedAt: typeof parsed?.exportedAt === "string" ? parsed.exportedAt : "",
+      settings: result.settings || {},
+      overrides: result.overrides || null,
+      errors: result.errors,
+      warnings: result.warnings
+    };
+    setStatus("");
+    await renderImportPreview();
+  }
+
+  async function applyImport() {
+    if (!pendingImport || pendingImport.errors.length > 0) return;
+
+    const mode = importMode();
+    const current = await STORE.load();
+    await STORE.save(buildImportedSettings(current, pendingImport.settings, mode));
+
+    if (pendingImport.overrides) {
+      const data = await storageGet({ [OVERRIDES_KEY]: {} });
+      await storageSet({
+        [OVERRIDES_KEY]: buildImportedOverrides(data[OVERRIDES_KEY] || {}, pendingImport.overrides, mode)
+      });
+    }
+
+    pendingImport = null;
+    importPreviewEl.hidden = true;
+    await loadSettings();
+    setStatus(mode === "replace" ? "Settings replaced from file." : "Settings merged from file.");
+  }
+
+  function cancelImport() {
+    pendingImport = null;
+    importPreviewEl.hidden = true;
+  }
+
+  // -----------------------------------------
+  // Sync across browsers (storage.sync)
+  // -----------------------------------------
+  function renderSyncStatus(status) {
+    syncEnabledEl.checked = Boolean(status?.enabled);
+    syncEnabledEl.disabled = !status?.available;
+
+    let message = "Off: settings are kept in this browser only.";
+    if (!status?.available) {
+      message = "Sync is not available in this browser. Settings are kept here.";
+    } else if (status.enabled) {
+      message = status.lastSync
+        ? `On. Last synced ${new Date(status.lastSync).toLocaleString()}.`
+        : "On. Waiting for the first sync.";
+    }
+    if (status?.error) {
+      message = `${message} ${status.error}`;
+    }
+
+    syncStatusEl.textContent = message;
+    syncStatusEl.classList.toggle("error", Boolean(status?.error));
+  }
+
+  // Sync runs in the background worker (src/settings-sync.js).
+  async function loadSyncStatus() {
+    renderSyncStatus(await MESSAGES.send({ type: MESSAGES.TYPES.GET_SYNC_STATUS }));
+  }
+
+  async function toggleSync() {
+    renderSyncStatus(await MESSAGES.send({
+      type: MESSAGES.TYPES.SET_SYNC_ENABLED,
+      enabled: syncEnabledEl.checked
+    }));
+    // Settings may have been replaced by the synced copy.
     await loadSettings();
+    loadOverrides();
   }
 
   // -----------------------------------------
   // Wire buttons
   // -----------------------------------------
+  patternListEls.forEach((textarea) => {
+    textarea.addEventListener("input", () => showPatternProblems(textarea));
+  });
+  channelListEls.forEach((textarea) => {
+    textarea.addEventListener("input", () => showChannelProblems(textarea));
+  });
+  durationInputs.forEach((input) => {
+    input.addEventListener("input", validateDurations);
+  });
   saveButton.addEventListener("click", saveSettings);
   resetButton.addEventListener("click", resetSettings);
+  clearCacheButton.addEventListener("click", clearCache);
+  clearOverridesButton.addEventListener("click", clearOverrides);
+  addFilterListFileButton.addEventListener("click", () => filterListFileEl.click());
+  filterListFileEl.addEventListener("change", loadFilterListFile);
+  subscribeFilterListButton.addEventListener("click", () => fetchFilterList(filterListUrlEl.value.trim()));
+  exportButton.addEventListener("click", exportSettings);
+  importButton.addEventListener("click", () => importFileEl.click());
+  importFileEl.addEventListener("change", readImportFile);
+  importMergeEl.addEventListener("change", renderImportPreview);
+  importReplaceEl.addEventListener("change", renderImportPreview);
+  applyImportButton.addEventListener("click", applyImport);
+  cancelImportButton.addEventListener("click", cancelImport);
+  syncEnabledEl.addEventListener("change", toggleSync);
+
+  // Any edit on the page (lists, packs, durations, modes) re-runs the test panel.
+  document.addEventListener("input", scheduleTests);
+  document.addEventListener("change", scheduleTests);
 
   // -----------------------------------------
   // Initial load
   // -----------------------------------------
+  renderTestContexts();
   loadSettings();
+  loadOverrides();
+  readFilterLists().then(renderFilterLists);
+  loadSyncStatus();
 })();
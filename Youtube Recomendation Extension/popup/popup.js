@@ -1,131 +1,395 @@
 /*
   popup.js
-  Handles the small popup UI. It reads/writes settings in storage.
+  Handles the small popup UI. It reads/writes settings in storage and sends
+  tab actions (rescan, show blocked) to the background worker.
 */
 
 (() => {
   "use strict";
 
   const API = typeof browser !== "undefined" ? browser : chrome;
-  const SETTINGS_KEY = "mvSettings";
-  const RESCAN_KEY = "mvRescanToken";
-
-  const DEFAULTS = globalThis.MV_DEFAULT_SETTINGS || {
-    strongMusicKeywords: [],
-    moderateMusicKeywords: [],
-    nonMusicKeywords: [],
-    channelMusicTokens: [],
-    defaultPolicy: "show",
-    showBlocked: false,
-    debounceMs: 60,
-    debugMode: false
-  };
+  const SCAN_CONTEXTS = globalThis.MV_SCAN_CONTEXTS || [];
+  const STORE = globalThis.MV_SETTINGS;
+  const MESSAGES = globalThis.MV_MESSAGES;
+  const PROFILE_LISTS = ["strong", "moderate", "non", "channel"];
+  const PROFILE_NUMBERS = [
+    "musicMinSeconds",
+    "musicMaxSeconds",
+    "extremeShortSeconds",
+    "extremeLongSeconds",
+    "hideLongerThanMinutes",
+    "hideShorterThanSeconds"
+  ];
+  const DEFAULTS = STORE.DEFAULTS;
 
   // -----------------------------------------
-  // Storage helpers
+  // Messaging helpers
   // -----------------------------------------
-  function storageGet(defaults) {
-    return new Promise((resolve) => {
-      try {
-        if (API?.storage?.local?.get) {
-          const maybePromise = API.storage.local.get(defaults, (result) => {
-            if (API?.runtime?.lastError) {
-              resolve(defaults);
-            } else {
-              resolve(result);
-            }
-          });
-
-          if (maybePromise && typeof maybePromise.then === "function") {
-            maybePromise.then(resolve).catch(() => resolve(defaults));
-          }
-        } else {
-          resolve(defaults);
-        }
-      } catch (err) {
-        resolve(defaults);
-      }
-    });
-  }
-
-  function storageSet(data) {
-    return new Promise((resolve) => {
-      try {
-        if (API?.storage?.local?.set) {
-          const maybePromise = API.storage.local.set(data, () => resolve());
-          if (maybePromise && typeof maybePromise.then === "function") {
-            maybePromise.then(resolve).catch(resolve);
-          }
-        } else {
-          resolve();
-        }
-      } catch (err) {
-        resolve();
-      }
-    });
+  // Tab actions go through the background worker, which sends them to the
+  // active tab only (protocol in src/messages.js).
+  function sendToWorker(type, fields) {
+    return MESSAGES.send({ type, ...(fields || {}) });
   }
 
   // -----------------------------------------
   // UI helpers
   // -----------------------------------------
   const showBlockedEl = document.getElementById("showBlocked");
+  const blockedDisplayEl = document.getElementById("blockedDisplay");
   const debugModeEl = document.getElementById("debugMode");
   const policyShowEl = document.getElementById("policyShow");
   const policyHideEl = document.getElementById("policyHide");
+  const modeCascadeEl = document.getElementById("modeCascade");
+  const modeScoreEl = document.getElementById("modeScore");
+  const scanContextsEl = document.getElementById("scanContexts");
+  const shortsModeEl = document.getElementById("shortsMode");
+  const profileContextEl = document.getElementById("profileContext");
+  const profilePolicyEl = document.getElementById("profilePolicy");
+  const profileShowBlockedEl = document.getElementById("profileShowBlocked");
+  const profileLiveEl = document.getElementById("profileLive");
+  const profileBlockedDisplayEl = document.getElementById("profileBlockedDisplay");
+  const profileListEls = document.querySelectorAll("select[data-profile-list]");
+  const profileNumberEls = document.querySelectorAll("input[data-profile-number]");
+  const pageStatsEl = document.getElementById("pageStats");
+  const blockedPanelEl = document.getElementById("blockedPanel");
+  const blockedSummaryEl = document.getElementById("blockedSummary");
+  const blockedTilesEl = document.getElementById("blockedTiles");
   const rescanButton = document.getElementById("rescan");
+  const clearCacheButton = document.getElementById("clearCache");
   const openOptionsButton = document.getElementById("openOptions");
 
+  function renderScanContexts(current) {
+    const enabled = STORE.getGroup(current, "scanContexts");
+    scanContextsEl.textContent = "";
+
+    SCAN_CONTEXTS.forEach((context) => {
+      // Contexts with their own setting (Shorts) have their own control.
+      if (context.setting) return;
+
+      const label = document.createElement("label");
+      label.className = "row";
+
+      const checkbox = document.createElement("input");
+      checkbox.type = "checkbox";
+      checkbox.checked = Boolean(enabled[context.id]);
+      checkbox.addEventListener("change", async () => {
+        const latest = await STORE.load();
+        await STORE.update({
+          scanContexts: { ...STORE.getGroup(latest, "scanContexts"), [context.id]: checkbox.checked }
+        });
+      });
+
+      const text = document.createElement("span");
+      text.textContent = context.label;
+
+      label.append(checkbox, text);
+      scanContextsEl.appendChild(label);
+    });
+  }
+
+  // -----------------------------------------
+  // Counts for the active tab
+  // -----------------------------------------
+  // The tab the counts belong to, so reports from other tabs are ignored.
+  let statsTabId = null;
+
+  function renderPageStats(stats) {
+    pageStatsEl.textContent = "";
+    if (!stats) {
+      const help = document.createElement("p");
+      help.className = "help";
+      help.textContent = "Open a YouTube page to see what was filtered.";
+      pageStatsEl.appendChild(help);
+      return;
+    }
+
+    const grid = document.createElement("div");
+    grid.className = "stats-grid";
+    [
+      ["Hidden", stats.blocked],
+      ["Shown", stats.allowed],
+      ["Default policy", stats.byDefault],
+      ["From cache", stats.cached]
+    ].forEach(([label, count]) => {
+      const cell = document.createElement("span");
+      const value = document.createElement("strong");
+      value.textContent = String(count || 0);
+      cell.append(`${label}: `, value);
+      grid.appendChild(cell);
+    });
+    pageStatsEl.appendChild(grid);
+
+    const reasons = Array.isArray(stats.reasons) ? stats.reasons : [];
+    if (reasons.length === 0) return;
+
+    const list = document.createElement("ul");
+    list.className = "stats-reasons";
+    reasons.forEach((entry) => {
+      const item = document.createElement("li");
+      if (!entry.isMusic) item.className = "hidden-reason";
+
+      const label = document.createElement("span");
+      label.textContent = `${entry.isMusic ? "Shown" : "Hidden"}: ${entry.label}`;
+      const count = document.createElement("span");
+      count.textContent = String(entry.count);
+
+      item.append(label, count);
+      list.appendChild(item);
+    });
+    pageStatsEl.appendChild(list);
+  }
+
+  async function loadPageStats() {
+    const response = await sendToWorker(MESSAGES.TYPES.GET_STATS);
+    statsTabId = response?.tabId ?? null;
+    renderPageStats(response?.tab || null);
+  }
+
+  // Content scripts report new counts after each scan that changed them.
+  function followPageStats() {
+    if (!API?.runtime?.onMessage) return;
+    API.runtime.onMessage.addListener((message, sender) => {
+      if (message?.type !== MESSAGES.TYPES.REPORT_TAB_STATS) return;
+      if (statsTabId == null || sender?.tab?.id !== statsTabId) return;
+      renderPageStats(message.stats);
+      loadBlockedTiles();
+    });
+  }
+
+  // -----------------------------------------
+  // Blocked tiles on the active tab
+  // -----------------------------------------
+  function renderBlockedTiles(tiles) {
+    blockedTilesEl.textContent = "";
+    blockedPanelEl.hidden = !tiles;
+    if (!tiles) return;
+
+    blockedSummaryEl.textContent = `Blocked on this page (${tiles.length})`;
+
+    tiles.forEach((tile) => {
+      const item = document.createElement("li");
+
+      const title = document.createElement("button");
+      title.type = "button";
+      title.className = "tile-title";
+      title.textContent = tile.title || "(no title)";
+      title.title = "Show and scroll to this tile";
+      title.addEventListener("click", () => revealTile(tile, true, true));
+
+      const meta = document.createElement("div");
+      meta.className = "tile-meta";
+      meta.textContent = [tile.channel, tile.duration, tile.label].filter(Boolean).join(" · ");
+
+      const actions = document.createElement("div");
+      actions.className = "tile-actions";
+
+      const toggle = document.createElement("button");
+      toggle.type = "button";
+      toggle.textContent = tile.unhidden ? "Hide again" : "Unhide";
+      toggle.addEventListener("click", () => revealTile(tile, !tile.unhidden, false));
+      actions.appendChild(toggle);
+
+      if (tile.videoId) {
+        const pin = document.createElement("button");
+        pin.type = "button";
+        pin.textContent = "Always show";
+        pin.title = "Pin this video as music";
+        pin.addEventListener("click", async () => {
+          await sendToWorker(MESSAGES.TYPES.SET_OVERRIDE, {
+            videoId: tile.videoId,
+            isMusic: true,
+            title: tile.title,
+            channel: tile.channel
+          });
+        });
+        actions.appendChild(pin);
+      }
+
+      item.append(title, meta, actions);
+      blockedTilesEl.appendChild(item);
+    });
+  }
+
+  async function loadBlockedTiles() {
+    const response = await sendToWorker(MESSAGES.TYPES.GET_BLOCKED_TILES, { tabId: statsTabId ?? undefined });
+    renderBlockedTiles(Array.isArray(response?.tiles) ? response.tiles : null);
+  }
+
+  async function revealTile(tile, reveal, scroll) {
+    await sendToWorker(MESSAGES.TYPES.REVEAL_TILE, {
+      tabId: statsTabId ?? undefined,
+      tileId: tile.tileId,
+      reveal,
+      scroll
+    });
+    await loadBlockedTiles();
+  }
+
+  // -----------------------------------------
+  // Page context profile
+  // -----------------------------------------
+  function renderProfileContexts(detected) {
+    profileContextEl.textContent = "";
+    SCAN_CONTEXTS.forEach((context) => {
+      const option = document.createElement("option");
+      option.value = context.id;
+      option.textContent = detected.includes(context.id)
+        ? `${context.label} (this page)`
+        : context.label;
+      profileContextEl.appendChild(option);
+    });
+    profileContextEl.value = detected[0] || "home";
+  }
+
+  function renderProfile(current) {
+    const profile = (current.contextProfiles || {})[profileContextEl.value] || {};
+
+    profilePolicyEl.value = profile.defaultPolicy || "";
+    if (typeof profile.showBlocked === "boolean") {
+      profileShowBlockedEl.value = profile.showBlocked ? "on" : "off";
+    } else {
+      profileShowBlockedEl.value = "";
+    }
+    profileLiveEl.value = profile.liveWithoutDurationPolicy || "";
+    profileBlockedDisplayEl.value = profile.blockedDisplay || "";
+
+    const lists = profile.enabledLists || {};
+    profileListEls.forEach((select) => {
+      const value = lists[select.dataset.profileList];
+      select.value = typeof value === "boolean" ? (value ? "on" : "off") : "";
+    });
+
+    profileNumberEls.forEach((input) => {
+      const key = input.dataset.profileNumber;
+      input.value = Number.isFinite(profile[key]) ? profile[key] : "";
+      input.placeholder = String(current[key] ?? DEFAULTS[key]);
+    });
+  }
+
+  // Only keys that differ from "use global" are stored in the profile.
+  function readProfile() {
+    const profile = {};
+
+    if (profilePolicyEl.value) {
+      profile.defaultPolicy = profilePolicyEl.value;
+    }
+    if (profileShowBlockedEl.value) {
+      profile.showBlocked = profileShowBlockedEl.value === "on";
+    }
+    if (profileLiveEl.value) {
+      profile.liveWithoutDurationPolicy = profileLiveEl.value;
+    }
+    if (profileBlockedDisplayEl.value) {
+      profile.blockedDisplay = profileBlockedDisplayEl.value;
+    }
+
+    const lists = {};
+    profileListEls.forEach((select) => {
+      if (select.value) {
+        lists[select.dataset.profileList] = select.value === "on";
+      }
+    });
+    if (Object.keys(lists).length > 0) {
+      profile.enabledLists = lists;
+    }
+
+    profileNumberEls.forEach((input) => {
+      const value = Number(input.value);
+      if (input.value !== "" && Number.isFinite(value) && value >= 0) {
+        profile[input.dataset.profileNumber] = value;
+      }
+    });
+
+    return profile;
+  }
+
+  async function saveProfile() {
+    const current = await STORE.load();
+    const profiles = { ...(current.contextProfiles || {}) };
+    const profile = readProfile();
+
+    if (Object.keys(profile).length > 0) {
+      profiles[profileContextEl.value] = profile;
+    } else {
+      delete profiles[profileContextEl.value];
+    }
+
+    await STORE.update({ contextProfiles: profiles });
+  }
+
   function applySettingsToUI(current) {
-    showBlockedEl.checked = Boolean(current.showBlocked);
+    blockedDisplayEl.value = STORE.getChoice(current, "blockedDisplay");
     debugModeEl.checked = Boolean(current.debugMode);
     if (current.defaultPolicy === "hide") {
       policyHideEl.checked = true;
     } else {
       policyShowEl.checked = true;
     }
+    if (current.classifierMode === "score") {
+      modeScoreEl.checked = true;
+    } else {
+      modeCascadeEl.checked = true;
+    }
+    renderScanContexts(current);
+    shortsModeEl.value = STORE.getChoice(current, "shortsMode");
+    renderProfile(current);
   }
 
-  async function loadSettings() {
-    const data = await storageGet({ [SETTINGS_KEY]: DEFAULTS });
-    return { ...DEFAULTS, ...(data[SETTINGS_KEY] || {}) };
-  }
-
-  async function saveSettings(newSettings) {
-    await storageSet({ [SETTINGS_KEY]: newSettings });
-  }
 
   // -----------------------------------------
   // Event wiring
   // -----------------------------------------
+  // Only this tab, and only until it reloads or settings change.
   showBlockedEl.addEventListener("change", async () => {
-    const current = await loadSettings();
-    current.showBlocked = showBlockedEl.checked;
-    await saveSettings(current);
+    await sendToWorker(MESSAGES.TYPES.TOGGLE_SHOW_BLOCKED, { show: showBlockedEl.checked });
+  });
+
+  blockedDisplayEl.addEventListener("change", async () => {
+    await STORE.update({ blockedDisplay: blockedDisplayEl.value });
   });
 
   debugModeEl.addEventListener("change", async () => {
-    const current = await loadSettings();
-    current.debugMode = debugModeEl.checked;
-    await saveSettings(current);
+    await STORE.update({ debugMode: debugModeEl.checked });
   });
 
   policyShowEl.addEventListener("change", async () => {
     if (!policyShowEl.checked) return;
-    const current = await loadSettings();
-    current.defaultPolicy = "show";
-    await saveSettings(current);
+    await STORE.update({ defaultPolicy: "show" });
   });
 
   policyHideEl.addEventListener("change", async () => {
     if (!policyHideEl.checked) return;
-    const current = await loadSettings();
-    current.defaultPolicy = "hide";
-    await saveSettings(current);
+    await STORE.update({ defaultPolicy: "hide" });
+  });
+
+  modeCascadeEl.addEventListener("change", async () => {
+    if (!modeCascadeEl.checked) return;
+    await STORE.update({ classifierMode: "cascade" });
+  });
+
+  modeScoreEl.addEventListener("change", async () => {
+    if (!modeScoreEl.checked) return;
+    await STORE.update({ classifierMode: "score" });
+  });
+
+  shortsModeEl.addEventListener("change", async () => {
+    await STORE.update({ shortsMode: shortsModeEl.value });
+  });
+
+  profileContextEl.addEventListener("change", async () => {
+    renderProfile(await STORE.load());
+  });
+
+  [profilePolicyEl, profileShowBlockedEl, profileBlockedDisplayEl, profileLiveEl, ...profileListEls, ...profileNumberEls].forEach((el) => {
+    el.addEventListener("change", saveProfile);
   });
 
   rescanButton.addEventListener("click", async () => {
-    // Update a simple token so content scripts know they must rescan now.
-    await storageSet({ [RESCAN_KEY]: Date.now() });
+    await sendToWorker(MESSAGES.TYPES.RESCAN_TAB);
+  });
+
+  clearCacheButton.addEventListener("click", async () => {
+    await sendToWorker(MESSAGES.TYPES.CLEAR_CACHE);
   });
 
   openOptionsButton.addEventListener("click", () => {
@@ -137,5 +401,22 @@
   // -----------------------------------------
   // Initial load
   // -----------------------------------------
-  loadSettings().then(applySettingsToUI);
+  async function init() {
+    const response = await sendToWorker(MESSAGES.TYPES.GET_TAB_CONTEXT);
+    renderProfileContexts(Array.isArray(response?.contexts) ? response.contexts : []);
+    applySettingsToUI(await STORE.load());
+
+    // Show-blocked is a per-tab switch; it is off on pages we do not filter.
+    showBlockedEl.checked = Boolean(response?.showBlocked);
+    showBlockedEl.disabled = !response;
+
+    await loadPageStats();
+    await loadBlockedTiles();
+    followPageStats();
+
+    // Follow changes made on YouTube tabs or the options page.
+    STORE.subscribe({ [STORE.KEYS.SETTINGS_KEY]: applySettingsToUI });
+  }
+
+  init();
 })();
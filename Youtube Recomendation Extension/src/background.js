@@ -0,0 +1,401 @@
+/*
+  background.js
+  The background worker. It owns what is shared by every YouTube tab:
+
+    - settings: upgrades settings saved by an older version and runs the
+      storage.sync mirror (src/settings-sync.js); it is the only place
+      that keeps the sync bookkeeping, and pages reach it by message,
+    - the decision cache: content scripts look decisions up here and send
+      new ones; this is the only place that reads or writes mvCache,
+    - statistics about the cache and pins, and the toolbar badge with the
+      number of tiles hidden on each tab,
+    - tab actions from the popup (rescan, show blocked), sent to the one
+      tab they are meant for instead of every tab.
+
+  The message protocol is documented in src/messages.js.
+
+  Chrome runs this file as a service worker and loads the shared scripts
+  with importScripts. Firefox loads them from manifest "background.scripts".
+*/
+
+if (typeof importScripts === "function" && !globalThis.MV_SETTINGS) {
+  importScripts(
+    "defaults.js",
+    "settings-migrations.js",
+    "settings.js",
+    "settings-sync.js",
+    "patterns.js",
+    "classifier.js",
+    "messages.js"
+  );
+}
+
+(() => {
+  "use strict";
+
+  const API = typeof browser !== "undefined" ? browser : chrome;
+  const STORE = globalThis.MV_SETTINGS;
+  const SYNC = globalThis.MV_SETTINGS_SYNC || null;
+  const CLASSIFIER = globalThis.MV_CLASSIFIER;
+  const MESSAGES = globalThis.MV_MESSAGES;
+  const { TYPES } = MESSAGES;
+  const { SETTINGS_KEY, CACHE_KEY, OVERRIDES_KEY, FILTER_LISTS_KEY } = STORE.KEYS;
+
+  // How many cached decisions we keep before trimming.
+  const MAX_CACHE_ENTRIES = 5000;
+
+  // Tabs the content script runs in (manifest content_scripts matches).
+  const YOUTUBE_TAB_URLS = [
+    "https://www.youtube.com/*",
+    "https://youtu.be/*",
+    "https://music.youtube.com/*"
+  ];
+
+  // -----------------------------------------
+  // Debug logging
+  // -----------------------------------------
+  // Same prefix as the content script. The stored copy is read as is, so
+  // this still works when the settings cannot be upgraded.
+  function debugLog(...args) {
+    STORE.storageGet({ [SETTINGS_KEY]: null }).then((data) => {
+      if (data[SETTINGS_KEY]?.debugMode === true) {
+        console.log("[MV-DEBUG]", ...args);
+      }
+    });
+  }
+
+  // -----------------------------------------
+  // Decision cache
+  // -----------------------------------------
+  // Map<cacheKey, { isMusic, reason, fp, ts }>, oldest first. A service
+  // worker can be stopped at any time, so it is loaded again on demand.
+  let decisionCache = null;
+  let cacheSaveTimer = null;
+
+  async function loadCache() {
+    if (decisionCache) return decisionCache;
+
+    const data = await STORE.storageGet({ [CACHE_KEY]: {} });
+    const entries = Object.entries(data[CACHE_KEY] || {})
+      .filter(([, value]) => value && typeof value.isMusic === "boolean")
+      .sort((a, b) => (Number(a[1].ts) || 0) - (Number(b[1].ts) || 0));
+
+    // Another message may have loaded it while we waited.
+    if (!decisionCache) {
+      decisionCache = new Map(entries);
+    }
+    return decisionCache;
+  }
+
+  function scheduleCacheSave() {
+    if (cacheSaveTimer) return;
+    cacheSaveTimer = setTimeout(() => {
+      cacheSaveTimer = null;
+      STORE.storageSet({ [CACHE_KEY]: Object.fromEntries(decisionCache) });
+    }, 1000);
+  }
+
+  async function storeDecisions(entries) {
+    const cache = await loadCache();
+
+    Object.entries(entries || {}).forEach(([key, value]) => {
+      if (!key || !value || typeof value.isMusic !== "boolean") return;
+      cache.delete(key);
+      cache.set(key, {
+        isMusic: value.isMusic,
+        reason: String(value.reason || ""),
+        fp: String(value.fp || ""),
+        ts: Number(value.ts) || Date.now()
+      });
+    });
+
+    // Trim the oldest entries if the cache grew too large.
+    while (cache.size > MAX_CACHE_ENTRIES) {
+      cache.delete(cache.keys().next().value);
+    }
+
+    scheduleCacheSave();
+  }
+
+  // Cached decisions for the keys a tab asks about.
+  async function getDecisions(keys) {
+    const cache = await loadCache();
+    const entries = {};
+    (Array.isArray(keys) ? keys : []).forEach((key) => {
+      const entry = typeof key === "string" ? cache.get(key) : null;
+      if (entry) {
+        entries[key] = { isMusic: entry.isMusic, reason: entry.reason, fp: entry.fp };
+      }
+    });
+    return { entries };
+  }
+
+  async function clearCache() {
+    decisionCache = new Map();
+    if (cacheSaveTimer) {
+      clearTimeout(cacheSaveTimer);
+      cacheSaveTimer = null;
+    }
+    await STORE.storageSet({ [CACHE_KEY]: {} });
+    await broadcast({ type: TYPES.CLEAR_CACHE });
+  }
+
+  // -----------------------------------------
+  // Classification rules (rebuilt when settings or filter lists change)
+  // -----------------------------------------
+  let rules = null;
+
+  async function loadRules() {
+    if (rules) return rules;
+
+    const settings = await STORE.load();
+    const data = await STORE.storageGet({ [FILTER_LISTS_KEY]: [] });
+    const filterLists = Array.isArray(data[FILTER_LISTS_KEY]) ? data[FILTER_LISTS_KEY] : [];
+    rules = { settings, matchers: CLASSIFIER.buildMatchers(settings, filterLists) };
+    return rules;
+  }
+
+  async function classify(item, context) {
+    const data = CLASSIFIER.videoDataFrom(item);
+    if (!data.title) {
+      return { error: "A title is required." };
+    }
+
+    // Pins count as on the page (see src/classifier.js).
+    const stored = await STORE.storageGet({ [OVERRIDES_KEY]: {} });
+    const current = await loadRules();
+    const profile = CLASSIFIER.buildContextSettings(current.settings, String(context || ""));
+    return CLASSIFIER.classify(data, profile, { ...current, overrides: stored[OVERRIDES_KEY] || {} });
+  }
+
+  // -----------------------------------------
+  // Pins
+  // -----------------------------------------
+  async function setOverride(videoId, isMusic, fields) {
+    if (!videoId || typeof videoId !== "string") {
+      return { error: "A video ID is required." };
+    }
+    if (isMusic !== null && typeof isMusic !== "boolean") {
+      return { error: "isMusic must be true, false or null." };
+    }
+
+    const stored = await STORE.storageGet({ [OVERRIDES_KEY]: {} });
+    const next = { ...(stored[OVERRIDES_KEY] || {}) };
+
+    if (isMusic === null) {
+      delete next[videoId];
+    } else {
+      next[videoId] = {
+        isMusic,
+        title: String(fields?.title || "").slice(0, 200),
+        channel: String(fields?.channel || "").slice(0, 100),
+        ts: Date.now()
+      };
+    }
+
+    // Content scripts follow mvOverrides and rescan.
+    await STORE.storageSet({ [OVERRIDES_KEY]: next });
+    return { ok: true };
+  }
+
+  // -----------------------------------------
+  // Statistics
+  // -----------------------------------------
+  // Badge colour for the hidden count.
+  const BADGE_COLOR = "#4a4a4a";
+
+  function setBadge(tabId, stats) {
+    const action = API?.action;
+    if (!action?.setBadgeText || tabId == null) return;
+
+    const hidden = Number(stats?.blocked) || 0;
+    try {
+      action.setBadgeText({ tabId, text: hidden > 0 ? String(hidden) : "" });
+      if (action.setBadgeBackgroundColor) {
+        action.setBadgeBackgroundColor({ tabId, color: BADGE_COLOR });
+      }
+    } catch (err) {
+      // The tab may have closed in the meantime.
+    }
+  }
+
+  async function getStats(message) {
+    const cache = await loadCache();
+    let music = 0;
+    cache.forEach((entry) => {
+      if (entry.isMusic) music += 1;
+    });
+
+    const data = await STORE.storageGet({ [OVERRIDES_KEY]: {}, [FILTER_LISTS_KEY]: [] });
+    const filterLists = Array.isArray(data[FILTER_LISTS_KEY]) ? data[FILTER_LISTS_KEY] : [];
+
+    // The tab keeps its own counts, so they survive the worker stopping.
+    const tabId = await targetTabId(message);
+    const tab = await MESSAGES.sendToTab(tabId, { type: TYPES.GET_PAGE_STATS });
+
+    return {
+      cache: { entries: cache.size, music, nonMusic: cache.size - music },
+      pinned: Object.keys(data[OVERRIDES_KEY] || {}).length,
+      filterLists: filterLists.filter((list) => list && list.enabled !== false).length,
+      tabId,
+      tab
+    };
+  }
+
+  // -----------------------------------------
+  // Tabs
+  // -----------------------------------------
+  function queryTabs(query) {
+    return new Promise((resolve) => {
+      try {
+        if (!API?.tabs?.query) {
+          resolve([]);
+          return;
+        }
+        const maybePromise = API.tabs.query(query, (tabs) => resolve(tabs || []));
+        if (maybePromise && typeof maybePromise.then === "function") {
+          maybePromise.then((tabs) => resolve(tabs || [])).catch(() => resolve([]));
+        }
+      } catch (err) {
+        resolve([]);
+      }
+    });
+  }
+
+  // The tab a request is about: the one it names, else the active tab of
+  // the window the user is in (the popup belongs to that window).
+  async function targetTabId(message) {
+    if (Number.isInteger(message.tabId)) return message.tabId;
+    const tabs = await queryTabs({ active: true, lastFocusedWindow: true });
+    return tabs[0] && tabs[0].id != null ? tabs[0].id : null;
+  }
+
+  // Actions that change every YouTube tab (such as clearing the cache).
+  async function broadcast(message) {
+    const tabs = await queryTabs({ url: YOUTUBE_TAB_URLS });
+    await Promise.all(tabs.map((tab) => MESSAGES.sendToTab(tab.id, message)));
+  }
+
+  async function forwardToTab(message, tabMessage) {
+    const tabId = await targetTabId(message);
+    const response = await MESSAGES.sendToTab(tabId, tabMessage);
+    return { ok: response !== null, response };
+  }
+
+  // -----------------------------------------
+  // Message protocol (see src/messages.js)
+  // -----------------------------------------
+  async function handleMessage(message, sender) {
+    switch (message.type) {
+      case TYPES.GET_STATS:
+        return getStats(message);
+
+      case TYPES.CLASSIFY:
+        return classify(message.item, message.context);
+
+      case TYPES.SET_OVERRIDE:
+        return setOverride(message.videoId, message.isMusic ?? null, message);
+
+      case TYPES.RESCAN_TAB: {
+        const { ok } = await forwardToTab(message, { type: TYPES.REFRESH });
+        return { ok };
+      }
+
+      case TYPES.TOGGLE_SHOW_BLOCKED: {
+        const show = Boolean(message.show);
+        const { ok } = await forwardToTab(message, { type: TYPES.TOGGLE_SHOW_BLOCKED, show });
+        return { ok };
+      }
+
+      case TYPES.GET_TAB_CONTEXT: {
+        const { response } = await forwardToTab(message, { type: TYPES.GET_CONTEXT });
+        return response;
+      }
+
+      case TYPES.GET_BLOCKED_TILES: {
+        const { response } = await forwardToTab(message, { type: TYPES.GET_BLOCKED_TILES });
+        return response;
+      }
+
+      case TYPES.REVEAL_TILE: {
+        const { response } = await forwardToTab(message, {
+          type: TYPES.REVEAL_TILE,
+          tileId: String(message.tileId || ""),
+          reveal: message.reveal !== false,
+          scroll: Boolean(message.scroll)
+        });
+        return { ok: Boolean(response?.ok) };
+      }
+
+      case TYPES.CLEAR_CACHE:
+        await clearCache();
+        return { ok: true };
+
+      case TYPES.GET_DECISIONS:
+        return getDecisions(message.keys);
+
+      case TYPES.STORE_DECISIONS:
+        // Only content scripts report decisions.
+        if (!sender || !sender.tab) return { error: "Decisions come from YouTube tabs only." };
+        await storeDecisions(message.entries);
+        return { ok: true };
+
+      case TYPES.SYNC_LOCAL_WRITE:
+        if (SYNC) await SYNC.recordLocalWrite(Array.isArray(message.keys) ? message.keys : []);
+        return { ok: true };
+
+      case TYPES.GET_SYNC_STATUS:
+        return SYNC ? SYNC.getStatus() : { available: false, enabled: false, lastSync: 0, error: "" };
+
+      case TYPES.SET_SYNC_ENABLED:
+        if (!SYNC) return { available: false, enabled: false, lastSync: 0, error: "" };
+        return SYNC.setEnabled(Boolean(message.enabled));
+
+      case TYPES.REPORT_TAB_STATS:
+        if (!sender || !sender.tab) return { error: "Counts come from YouTube tabs only." };
+        setBadge(sender.tab.id, message.stats);
+        return { ok: true };
+
+      default:
+        return undefined;
+    }
+  }
+
+  // Listeners are added on every start so a stopped worker wakes up for them.
+  if (API?.runtime?.onMessage) {
+    API.runtime.onMessage.addListener((message, sender, sendResponse) => {
+      if (!message || typeof message !== "object" || !Object.values(TYPES).includes(message.type)) {
+        return undefined;
+      }
+
+      handleMessage(message, sender)
+        .then((response) => sendResponse(response === undefined ? null : response))
+        .catch((err) => sendResponse({ error: err && err.message ? err.message : String(err) }));
+
+      // Keep the channel open for the async response.
+      return true;
+    });
+  }
+
+  STORE.subscribe({
+    [SETTINGS_KEY]: () => {
+      rules = null;
+    },
+    [FILTER_LISTS_KEY]: () => {
+      rules = null;
+    }
+  });
+
+  // Settings saved by an older version are upgraded once and written back,
+  // then changes synced from other browsers are picked up (a no-op unless
+  // sync is enabled). If the upgrade fails, sync waits for the next start
+  // so an old-format copy is never pushed to other browsers.
+  if (SYNC) SYNC.watch();
+  STORE.migrateStored()
+    .then(() => {
+      if (SYNC) SYNC.init();
+    })
+    .catch((err) => {
+      debugLog("Stored settings could not be upgraded; sync not started", err);
+    });
+})();
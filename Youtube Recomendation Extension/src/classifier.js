@@ -0,0 +1,871 @@
+/*
+  classifier.js
+  Text matching and the music / non-music decision. It is shared by the
+  content script (tiles on the page) and the background worker (the
+  MV_CLASSIFY message), so every caller gets the same verdict for the same
+  title, channel and duration.
+
+  Nothing here touches the page or storage. Callers pass in:
+    - settings: full settings (src/settings.js load())
+    - matchers: buildMatchers(settings, filterLists)
+    - profile:  buildContextSettings(settings, contextId)
+    - rules:    { settings, matchers, overrides? }, where overrides is the
+                stored mvOverrides object (pinned videos)
+
+  In cascade mode a pin decides before any rule. In score mode it is one
+  more signal with its own weight (scoreWeights.override), high enough by
+  default that the pin still wins.
+*/
+
+(() => {
+  "use strict";
+
+  const STORE = globalThis.MV_SETTINGS;
+
+  // Shared regex/glob keyword parser (src/patterns.js).
+  const PATTERNS = globalThis.MV_PATTERNS || null;
+
+  // Optional diacritics that are dropped so "andré" matches "andre":
+  // Latin/Greek/Cyrillic combining accents, Arabic harakat and tatweel.
+  const OPTIONAL_DIACRITICS = /[\u0300-\u036f\u064b-\u065f\u0670\u0640]/g;
+
+  // Scripts that are written without spaces between words. Every character
+  // becomes its own token, so a keyword like "公式" still matches as a
+  // sequence of characters inside a longer title.
+  const UNSPACED_SCRIPT_CHAR =
+    /([\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}\p{Script=Thai}\p{Script=Lao}\p{Script=Khmer}\p{Script=Myanmar}])/gu;
+
+  // YouTube Music item types that are music (or not) no matter what the title says.
+  const MUSIC_ONLY_ITEM_TYPES = ["song", "album", "single", "ep"];
+  const NON_MUSIC_ITEM_TYPES = ["podcast", "episode", "profile"];
+
+  // Structural signals in the order the cascade checks them.
+  const STRUCTURAL_SIGNALS = [
+    { id: "topicChannel", field: "isTopicChannel", reason: "topic-channel" },
+    { id: "artistBadge", field: "isVerifiedArtist", reason: "artist-badge" },
+    { id: "mix", field: "isMix", reason: "mix" },
+    { id: "playlist", field: "isPlaylist", reason: "playlist" }
+  ];
+
+  // Optional per-language keyword lists (src/defaults.js).
+  const KEYWORD_PACKS = globalThis.MV_KEYWORD_PACKS || {};
+
+  // Settings a page context profile may override (src/defaults.js).
+  const PROFILE_KEYS = globalThis.MV_PROFILE_KEYS || [];
+
+  // Lists a subscribed filter list can add to (src/defaults.js).
+  const FILTER_LIST_KEYS = globalThis.MV_FILTER_LIST_KEYS || [];
+  const FILTER_CHANNEL_LIST_KEYS = ["channelAllowList", "channelBlockList"];
+
+  // -----------------------------------------
+  // Text normalization and matching
+  // -----------------------------------------
+  function normalizeText(text) {
+    if (!text) return "";
+    return text
+      // Split accents from letters and fold compatibility forms (full-width, ligatures).
+      .normalize("NFKD")
+      .replace(OPTIONAL_DIACRITICS, "")
+      // Recompose what is left (Hangul syllables, kana voicing marks).
+      .normalize("NFC")
+      .toLowerCase()
+      .replace(/\u00df/g, "ss")
+      .replace(/\u03c2/g, "\u03c3")
+      // Keep letters, marks and digits of every script; everything else separates words.
+      .replace(/[^\p{L}\p{M}\p{N}]+/gu, " ")
+      .replace(UNSPACED_SCRIPT_CHAR, " $1 ")
+      .replace(/\s+/g, " ")
+      .trim();
+  }
+
+  function containsToken(normalizedText, normalizedToken) {
+    if (!normalizedText || !normalizedToken) return false;
+    const hay = ` ${normalizedText} `;
+    const needle = ` ${normalizedToken} `;
+    return hay.includes(needle);
+  }
+
+  function containsAny(normalizedText, normalizedTokens) {
+    for (const token of normalizedTokens) {
+      if (containsToken(normalizedText, token)) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  // A list matcher holds the plain keywords (normalized, with the entry as
+  // written in `keywords` for explanations) and the compiled re:/glob:
+  // pattern entries (see src/patterns.js). Invalid patterns are skipped and
+  // reported to onInvalidPattern(entry, error) when given.
+  function buildListMatcher(listValue, onInvalidPattern) {
+    // We accept arrays or strings. If a string slips in, split by newline or comma.
+    let entries = [];
+    if (Array.isArray(listValue)) {
+      entries = listValue;
+    } else if (typeof listValue === "string") {
+      entries = listValue.split(/\n|,/);
+    }
+
+    const tokens = [];
+    const keywords = [];
+    const patterns = [];
+    for (const entry of entries) {
+      if (PATTERNS && PATTERNS.parsePatternEntry(entry)) {
+        try {
+          patterns.push(PATTERNS.compilePatternEntry(entry));
+        } catch (err) {
+          if (onInvalidPattern) onInvalidPattern(entry, err);
+        }
+        continue;
+      }
+
+      const token = normalizeText(entry);
+      if (token) {
+        tokens.push(token);
+        keywords.push(PATTERNS ? PATTERNS.plainKeyword(entry) : String(entry).trim());
+      }
+    }
+
+    return { tokens, keywords, patterns };
+  }
+
+  // Text to match against: patterns can opt into the raw text.
+  function toMatchText(rawText) {
+    const raw = rawText || "";
+    return { raw, normalized: normalizeText(raw) };
+  }
+
+  function matchesList(text, listMatcher) {
+    if (containsAny(text.normalized, listMatcher.tokens)) {
+      return true;
+    }
+    return listMatcher.patterns.some((pattern) => patternMatches(text, pattern));
+  }
+
+  function patternMatches(text, pattern) {
+    return pattern.regex.test(pattern.raw ? text.raw : text.normalized);
+  }
+
+  // The first entry of a list that matches, as { entry, token } for a plain
+  // keyword or { entry, pattern } for a re:/glob: pattern; null if none does.
+  function findListMatch(text, listMatcher) {
+    const index = listMatcher.tokens.findIndex((token) => containsToken(text.normalized, token));
+    if (index >= 0) {
+      return { entry: listMatcher.keywords[index], token: listMatcher.tokens[index] };
+    }
+    const pattern = listMatcher.patterns.find((candidate) => patternMatches(text, candidate));
+    return pattern ? { entry: pattern.entry, pattern } : null;
+  }
+
+  function hitMatches(text, hit) {
+    return hit.token ? containsToken(text.normalized, hit.token) : patternMatches(text, hit.pattern);
+  }
+
+  // "%C3%A9" in a pasted URL becomes "é"; a malformed escape is kept as written.
+  function decodeHandle(handle) {
+    try {
+      return decodeURIComponent(handle);
+    } catch (err) {
+      return handle;
+    }
+  }
+
+  // Channel list entries are handles ("@name") or channel IDs ("UC...").
+  // Pasted channel URLs are accepted too. Everything is compared lowercased.
+  // Anything else (such as a display name) is not a channel reference and
+  // returns ""; the options page flags those entries (channelEntryProblem).
+  function normalizeChannelRef(entry) {
+    if (!entry || typeof entry !== "string") return "";
+    const trimmed = entry.trim();
+    if (!trimmed) return "";
+
+    const handleMatch = trimmed.match(/\/(@[^/?#\s]+)/);
+    if (handleMatch) return decodeHandle(handleMatch[1]).toLowerCase();
+
+    const idMatch = trimmed.match(/\/channel\/([^/?#\s]+)/);
+    if (idMatch) return idMatch[1].toLowerCase();
+
+    if (/^@\S+$/.test(trimmed) || /^UC[\w-]{22}$/.test(trimmed)) {
+      return trimmed.toLowerCase();
+    }
+
+    return "";
+  }
+
+  // Why a channel list entry cannot be used, or "" when it is fine.
+  function channelEntryProblem(entry) {
+    const trimmed = String(entry || "").trim();
+    if (!trimmed) return "";
+
+    const handleMatch = trimmed.match(/\/(@[^/?#\s]+)/);
+    if (handleMatch) {
+      try {
+        decodeURIComponent(handleMatch[1]);
+      } catch (err) {
+        return "The handle in this URL has a broken %-escape.";
+      }
+    }
+    if (normalizeChannelRef(trimmed)) return "";
+
+    if (trimmed.includes("/")) {
+      return "Not a channel URL. Use a link with /@handle or /channel/UC\u2026";
+    }
+    if (trimmed.startsWith("@")) {
+      return "A handle cannot contain spaces.";
+    }
+    return "Looks like a channel name. Use the channel's @handle or its UC\u2026 channel ID.";
+  }
+
+  // Checks every entry of a channel list.
+  // Returns [{ line (1-based), entry, message }] for the unusable ones.
+  function validateChannelEntries(lines) {
+    const problems = [];
+    (lines || []).forEach((line, index) => {
+      const message = channelEntryProblem(line);
+      if (message) {
+        problems.push({ line: index + 1, entry: line.trim(), message });
+      }
+    });
+    return problems;
+  }
+
+  function normalizeChannelList(listValue) {
+    const list = Array.isArray(listValue)
+      ? listValue
+      : (typeof listValue === "string" ? listValue.split(/\n|,/) : []);
+    return list.map(normalizeChannelRef).filter(Boolean);
+  }
+
+  // -----------------------------------------
+  // Matchers (user lists + language packs + filter lists)
+  // -----------------------------------------
+  // The user's list plus the same list from every enabled language pack.
+  function withKeywordPacks(settings, listKey) {
+    const own = settings[listKey];
+    const entries = Array.isArray(own)
+      ? [...own]
+      : (typeof own === "string" ? own.split(/\n|,/) : []);
+
+    const enabled = Array.isArray(settings.keywordPacks) ? settings.keywordPacks : [];
+    enabled.forEach((packId) => {
+      const pack = KEYWORD_PACKS[packId];
+      if (pack && Array.isArray(pack[listKey])) {
+        entries.push(...pack[listKey]);
+      }
+    });
+
+    return entries;
+  }
+
+  function filterListEntryKey(listKey, entry) {
+    return FILTER_CHANNEL_LIST_KEYS.includes(listKey)
+      ? normalizeChannelRef(entry)
+      : String(entry).trim().toLowerCase();
+  }
+
+  // Entries from enabled filter lists, layered beneath the user's own lists.
+  // An entry the user already has in any of their own keyword lists (or
+  // channel lists, for channels) is left out, so a personal edit such as
+  // moving a keyword to non-music or allowing a blocked channel always wins.
+  function fromFilterLists(settings, filterLists, listKey) {
+    const isChannelList = FILTER_CHANNEL_LIST_KEYS.includes(listKey);
+    const personal = new Set();
+    FILTER_LIST_KEYS
+      .filter((key) => FILTER_CHANNEL_LIST_KEYS.includes(key) === isChannelList)
+      .forEach((key) => {
+        const own = settings[key];
+        (Array.isArray(own) ? own : []).forEach((entry) => {
+          personal.add(filterListEntryKey(key, entry));
+        });
+      });
+
+    const entries = [];
+    (Array.isArray(filterLists) ? filterLists : []).forEach((list) => {
+      if (!list || list.enabled === false || !list.lists) return;
+      const listEntries = list.lists[listKey];
+      if (!Array.isArray(listEntries)) return;
+      listEntries.forEach((entry) => {
+        if (typeof entry === "string" && !personal.has(filterListEntryKey(listKey, entry))) {
+          entries.push(entry);
+        }
+      });
+    });
+    return entries;
+  }
+
+  function buildMatchers(settings, filterLists, onInvalidPattern) {
+    const layered = (listKey) => [
+      ...withKeywordPacks(settings, listKey),
+      ...fromFilterLists(settings, filterLists, listKey)
+    ];
+
+    return {
+      strong: buildListMatcher(layered("strongMusicKeywords"), onInvalidPattern),
+      moderate: buildListMatcher(layered("moderateMusicKeywords"), onInvalidPattern),
+      non: buildListMatcher(layered("nonMusicKeywords"), onInvalidPattern),
+      channel: buildListMatcher(layered("channelMusicTokens"), onInvalidPattern),
+      channelAllow: [
+        ...normalizeChannelList(settings.channelAllowList),
+        ...normalizeChannelList(fromFilterLists(settings, filterLists, "channelAllowList"))
+      ],
+      channelBlock: [
+        ...normalizeChannelList(settings.channelBlockList),
+        ...normalizeChannelList(fromFilterLists(settings, filterLists, "channelBlockList"))
+      ]
+    };
+  }
+
+  // Global settings with the context's profile applied on top. Only the keys in
+  // PROFILE_KEYS can be overridden; a missing key means "use the global value".
+  function buildContextSettings(settings, contextId) {
+    const profile = (settings.contextProfiles || {})[contextId] || {};
+    const effective = {};
+
+    PROFILE_KEYS.forEach((key) => {
+      const hasOverride = Object.prototype.hasOwnProperty.call(profile, key) &&
+        profile[key] !== null && profile[key] !== undefined;
+      effective[key] = hasOverride ? profile[key] : settings[key];
+      if (effective[key] === undefined) {
+        effective[key] = STORE.DEFAULTS[key];
+      }
+    });
+
+    // Lists not mentioned in the override keep their global state.
+    effective.enabledLists = {
+      ...STORE.getGroup(settings, "enabledLists"),
+      ...(profile.enabledLists || {})
+    };
+
+    return effective;
+  }
+
+  // -----------------------------------------
+  // Duration parsing
+  // -----------------------------------------
+  function durationToSeconds(text) {
+    if (!text) return null;
+
+    const cleaned = text.toLowerCase().replace(/\s+/g, " ").trim();
+
+    // If there are no digits at all, we can't parse a time.
+    if (!/\d/.test(cleaned)) return null;
+
+    // Keep only digits and colons, then split by colon.
+    const parts = cleaned.replace(/[^0-9:]/g, "").split(":").filter(Boolean);
+    if (parts.length === 0) return null;
+
+    // Parse from right to left (seconds, minutes, hours).
+    let seconds = 0;
+    let multiplier = 1;
+    for (let i = parts.length - 1; i >= 0; i -= 1) {
+      const value = parseInt(parts[i], 10);
+      if (Number.isNaN(value)) return null;
+      seconds += value * multiplier;
+      multiplier *= 60;
+    }
+
+    return seconds;
+  }
+
+  // 225 -> "3:45", 3725 -> "1:02:05"
+  function formatDuration(seconds) {
+    if (seconds == null) return "";
+    const hours = Math.floor(seconds / 3600);
+    const minutes = Math.floor((seconds % 3600) / 60);
+    const rest = String(seconds % 60).padStart(2, "0");
+    return hours > 0 ? `${hours}:${String(minutes).padStart(2, "0")}:${rest}` : `${minutes}:${rest}`;
+  }
+
+  function durationInMusicRange(seconds, profile) {
+    if (seconds == null) return false;
+    return seconds >= profile.musicMinSeconds && seconds <= profile.musicMaxSeconds;
+  }
+
+  function durationStronglyContradicts(seconds, profile) {
+    if (seconds == null) return false;
+    return seconds < profile.extremeShortSeconds || seconds > profile.extremeLongSeconds;
+  }
+
+  // Item data for callers that only have text (title, channel, "3:45"),
+  // shaped like what the content script reads from a tile.
+  function videoDataFrom(fields) {
+    const source = fields || {};
+    const seconds = Number(source.durationSeconds);
+    return {
+      videoId: String(source.videoId || ""),
+      title: String(source.title || ""),
+      channel: String(source.channel || ""),
+      channelHandle: String(source.channelHandle || ""),
+      channelId: String(source.channelId || ""),
+      durationSeconds: Number.isFinite(seconds) && source.durationSeconds !== null && source.durationSeconds !== ""
+        ? seconds
+        : durationToSeconds(String(source.durationText || "")),
+      isLive: Boolean(source.isLive),
+      musicItemType: String(source.musicItemType || ""),
+      isTopicChannel: Boolean(source.isTopicChannel),
+      isVerifiedArtist: Boolean(source.isVerifiedArtist),
+      isMix: Boolean(source.isMix),
+      isPlaylist: Boolean(source.isPlaylist)
+    };
+  }
+
+  // -----------------------------------------
+  // Classification (exact flow from the requirements)
+  // -----------------------------------------
+  // Every decision carries an `explanation` of what fired:
+  //   {
+  //     durationSeconds,                  parsed duration, or null
+  //     matches: [{ list, keyword, field }],
+  //                                       list entries that matched; `field` is
+  //                                       "title", "channel" or "title+channel"
+  //                                       (a keyword spanning both)
+  //     limit?: { setting, value },       the duration setting that fired
+  //     range?: { min, max },             the music length range that held
+  //     itemType?, signal?, policy?       YouTube Music item type, structural
+  //                                       signal id, or the policy that applied
+  //   }
+  // describeDecision() turns a decision into plain sentences.
+  function explanationFor(data, extra) {
+    return { durationSeconds: data.durationSeconds ?? null, matches: [], ...extra };
+  }
+
+  function matchTexts(data) {
+    return {
+      combined: toMatchText(`${data.title} ${data.channel}`),
+      title: toMatchText(data.title),
+      channel: toMatchText(data.channel)
+    };
+  }
+
+  // { list, keyword, field } when the tile's channel is on a channel list.
+  function channelListMatch(data, listId, matchers) {
+    const ref = [data.channelHandle, data.channelId]
+      .map(normalizeChannelRef)
+      .find((candidate) => candidate && matchers[listId].includes(candidate));
+    return ref ? { list: listId, keyword: ref, field: "channel" } : null;
+  }
+
+  function defaultDecision(data, profile) {
+    // Conservative by default: do NOT hide unless confident.
+    const defaultIsMusic = profile.defaultPolicy !== "hide";
+    return {
+      isMusic: defaultIsMusic,
+      reason: "default",
+      explanation: explanationFor(data, { policy: defaultIsMusic ? "show" : "hide" })
+    };
+  }
+
+  // Standalone duration rules. They apply unless a strong keyword, the
+  // channel allowlist or a structural signal already says music.
+  // Returns a decision or null.
+  function applyDurationRules(data, profile) {
+    const seconds = data.durationSeconds;
+
+    if (data.isLive && seconds == null && profile.liveWithoutDurationPolicy !== "classify") {
+      return {
+        isMusic: profile.liveWithoutDurationPolicy !== "hide",
+        reason: "live",
+        explanation: explanationFor(data, { policy: profile.liveWithoutDurationPolicy })
+      };
+    }
+
+    const maxMinutes = Number(profile.hideLongerThanMinutes) || 0;
+    if (maxMinutes > 0 && seconds != null && seconds > maxMinutes * 60) {
+      return {
+        isMusic: false,
+        reason: "too-long",
+        explanation: explanationFor(data, { limit: { setting: "hideLongerThanMinutes", value: maxMinutes } })
+      };
+    }
+
+    const minSeconds = Number(profile.hideShorterThanSeconds) || 0;
+    if (minSeconds > 0 && seconds != null && seconds < minSeconds) {
+      return {
+        isMusic: false,
+        reason: "too-short",
+        explanation: explanationFor(data, { limit: { setting: "hideShorterThanSeconds", value: minSeconds } })
+      };
+    }
+
+    return null;
+  }
+
+  // The first structural signal on the tile whose verdict is not "classify".
+  function structuralDecision(data, settings) {
+    const verdicts = STORE.getGroup(settings, "structuralVerdicts");
+    for (const signal of STRUCTURAL_SIGNALS) {
+      const verdict = verdicts[signal.id];
+      if (!data[signal.field] || (verdict !== "music" && verdict !== "non-music")) continue;
+      return {
+        isMusic: verdict === "music",
+        reason: signal.reason,
+        explanation: explanationFor(data, { signal: signal.id })
+      };
+    }
+    return null;
+  }
+
+  // A keyword list takes part only when the context's profile enables it.
+  // Returns { list, keyword, field } for the first entry that matches, or null.
+  function listMatch(texts, listId, profile, matchers, channelOnly = false) {
+    if (profile.enabledLists && profile.enabledLists[listId] === false) return null;
+
+    if (channelOnly) {
+      const hit = findListMatch(texts.channel, matchers[listId]);
+      return hit ? { list: listId, keyword: hit.entry, field: "channel" } : null;
+    }
+
+    const hit = findListMatch(texts.combined, matchers[listId]);
+    if (!hit) return null;
+
+    let field = "title+channel";
+    if (hitMatches(texts.title, hit)) {
+      field = "title";
+    } else if (hitMatches(texts.channel, hit)) {
+      field = "channel";
+    }
+    return { list: listId, keyword: hit.entry, field };
+  }
+
+  // The pin for the video ({ isMusic, ... }), or null when it is not pinned.
+  function pinFor(data, overrides) {
+    const entry = data.videoId && overrides ? overrides[data.videoId] : null;
+    return entry && typeof entry.isMusic === "boolean" ? entry : null;
+  }
+
+  // `profile` is the effective settings for the page context
+  // (buildContextSettings); `rules` is { settings, matchers, overrides? }.
+  function classify(data, profile, rules) {
+    if (rules.settings.classifierMode === "score") {
+      return classifyByScore(data, profile, rules);
+    }
+    return classifyByCascade(data, profile, rules);
+  }
+
+  // The original first-match cascade: the first rule that fires decides.
+  function classifyByCascade(data, profile, rules) {
+    const { settings, matchers } = rules;
+    const texts = matchTexts(data);
+    const decide = (isMusic, reason, extra) => ({ isMusic, reason, explanation: explanationFor(data, extra) });
+
+    // 0) A pinned video keeps the user's verdict.
+    const pin = pinFor(data, rules.overrides);
+    if (pin) {
+      return decide(pin.isMusic, "override");
+    }
+
+    // 0a) Explicit channel allow/block lists beat every keyword rule.
+    const allowed = channelListMatch(data, "channelAllow", matchers);
+    if (allowed) {
+      return decide(true, "channel-allow", { matches: [allowed] });
+    }
+    const blocked = channelListMatch(data, "channelBlock", matchers);
+    if (blocked) {
+      return decide(false, "channel-block", { matches: [blocked] });
+    }
+
+    // 0b) YouTube Music labels songs/albums and podcasts explicitly.
+    if (MUSIC_ONLY_ITEM_TYPES.includes(data.musicItemType)) {
+      return decide(true, "music-item", { itemType: data.musicItemType });
+    }
+    if (NON_MUSIC_ITEM_TYPES.includes(data.musicItemType)) {
+      return decide(false, "podcast-item", { itemType: data.musicItemType });
+    }
+
+    // 0c) Topic channels, artist badges, Mixes and playlists
+    const structural = structuralDecision(data, settings);
+    if (structural) {
+      return structural;
+    }
+
+    // 1) Strong music keywords -> MUSIC
+    const strong = listMatch(texts, "strong", profile, matchers);
+    if (strong) {
+      return decide(true, "strong", { matches: [strong] });
+    }
+
+    // 1b) Duration rules (too long / too short / live without duration)
+    const durationRule = applyDurationRules(data, profile);
+    if (durationRule) {
+      return durationRule;
+    }
+
+    // 2) Non-music keywords -> NON-MUSIC
+    const non = listMatch(texts, "non", profile, matchers);
+    if (non) {
+      return decide(false, "non", { matches: [non] });
+    }
+
+    // 3) Moderate keywords -> MUSIC unless duration strongly contradicts
+    const moderate = listMatch(texts, "moderate", profile, matchers);
+    if (moderate) {
+      if (durationStronglyContradicts(data.durationSeconds, profile)) {
+        const limit = data.durationSeconds < profile.extremeShortSeconds
+          ? { setting: "extremeShortSeconds", value: profile.extremeShortSeconds }
+          : { setting: "extremeLongSeconds", value: profile.extremeLongSeconds };
+        return decide(false, "moderate+duration", { matches: [moderate], limit });
+      }
+      return decide(true, "moderate", { matches: [moderate] });
+    }
+
+    // 4) Duration in music range AND channel looks music-ish -> MUSIC
+    if (durationInMusicRange(data.durationSeconds, profile)) {
+      const channelToken = listMatch(texts, "channel", profile, matchers, true);
+      if (channelToken) {
+        return decide(true, "duration+channel", {
+          matches: [channelToken],
+          range: { min: profile.musicMinSeconds, max: profile.musicMaxSeconds }
+        });
+      }
+    }
+
+    // 5) Default policy
+    return defaultDecision(data, profile);
+  }
+
+  // Weighted scoring: every signal that fires adds its weight, and the total
+  // is compared to the threshold. Duration bands alone are not enough to
+  // decide, so items with no keyword/channel signal use the default policy.
+  function classifyByScore(data, profile, rules) {
+    const { settings, matchers } = rules;
+    const texts = matchTexts(data);
+    const weights = STORE.getGroup(settings, "scoreWeights");
+    const threshold = STORE.getNumber(settings, "scoreThreshold");
+
+    const hits = {
+      channelAllow: channelListMatch(data, "channelAllow", matchers),
+      channelBlock: channelListMatch(data, "channelBlock", matchers),
+      strong: listMatch(texts, "strong", profile, matchers),
+      moderate: listMatch(texts, "moderate", profile, matchers),
+      non: listMatch(texts, "non", profile, matchers),
+      channelToken: listMatch(texts, "channel", profile, matchers, true)
+    };
+
+    const pin = pinFor(data, rules.overrides);
+    const signals = {
+      override: Boolean(pin),
+      channelAllow: Boolean(hits.channelAllow),
+      channelBlock: Boolean(hits.channelBlock),
+      musicItem: MUSIC_ONLY_ITEM_TYPES.includes(data.musicItemType),
+      podcastItem: NON_MUSIC_ITEM_TYPES.includes(data.musicItemType),
+      strong: Boolean(hits.strong),
+      moderate: Boolean(hits.moderate),
+      non: Boolean(hits.non),
+      channelToken: Boolean(hits.channelToken),
+      durationInRange: durationInMusicRange(data.durationSeconds, profile),
+      durationExtreme: durationStronglyContradicts(data.durationSeconds, profile)
+    };
+
+    // Structural signals push toward their configured verdict.
+    const verdicts = STORE.getGroup(settings, "structuralVerdicts");
+    const structuralSign = {};
+    STRUCTURAL_SIGNALS.forEach((signal) => {
+      const verdict = verdicts[signal.id];
+      if (verdict !== "music" && verdict !== "non-music") return;
+      signals[signal.id] = Boolean(data[signal.field]);
+      structuralSign[signal.id] = verdict === "music" ? 1 : -1;
+    });
+    const structuralMusic = Object.keys(structuralSign)
+      .some((id) => signals[id] && structuralSign[id] > 0);
+
+    // A pin pushes toward the pinned verdict.
+    const pinSign = pin ? (pin.isMusic ? 1 : -1) : 0;
+
+    // Duration rules are hard rules in both modes.
+    if (!signals.strong && !signals.channelAllow && !structuralMusic && pinSign <= 0) {
+      const durationRule = applyDurationRules(data, profile);
+      if (durationRule) {
+        return durationRule;
+      }
+    }
+
+    const breakdown = [];
+    let score = 0;
+    for (const [signal, fired] of Object.entries(signals)) {
+      if (!fired) continue;
+      let weight = Number(weights[signal]) || 0;
+      if (structuralSign[signal]) {
+        weight = Math.abs(weight) * structuralSign[signal];
+      } else if (signal === "override") {
+        weight = Math.abs(weight) * pinSign;
+      }
+      breakdown.push({ signal, weight });
+      score += weight;
+    }
+
+    const decisive = breakdown.some(
+      (entry) => entry.signal !== "durationInRange" && entry.signal !== "durationExtreme"
+    );
+    if (!decisive) {
+      return { ...defaultDecision(data, profile), score, threshold, breakdown };
+    }
+
+    const explanation = explanationFor(data, { matches: Object.values(hits).filter(Boolean) });
+    if (signals.musicItem || signals.podcastItem) {
+      explanation.itemType = data.musicItemType;
+    }
+    if (pin) {
+      explanation.pinned = pin.isMusic;
+    }
+    return { isMusic: score >= threshold, reason: "score", score, threshold, breakdown, explanation };
+  }
+
+  function formatBreakdown(result) {
+    if (!result.breakdown) return "";
+    const parts = result.breakdown.map((entry) => `${entry.signal}${entry.weight >= 0 ? "+" : ""}${entry.weight}`);
+    return `${parts.join(" ") || "no signals"} = ${result.score} (threshold ${result.threshold})`;
+  }
+
+  // -----------------------------------------
+  // Plain-language explanations
+  // -----------------------------------------
+  // Names as they appear in the options page.
+  const LIST_NAMES = {
+    strong: "Strong Music Keywords",
+    moderate: "Moderate Music Keywords",
+    non: "Non-Music Keywords",
+    channel: "Channel Music Tokens",
+    channelAllow: "Channel Allowlist",
+    channelBlock: "Channel Blocklist"
+  };
+
+  const FIELD_NAMES = {
+    title: "title",
+    channel: "channel name",
+    "title+channel": "title and channel name together"
+  };
+
+  const SIGNAL_NAMES = {
+    topicChannel: "from a \"- Topic\" channel",
+    artistBadge: "from an Official Artist Channel",
+    mix: "a Mix",
+    playlist: "a playlist"
+  };
+
+  const SCORE_SIGNAL_NAMES = {
+    override: "pinned video",
+    channelAllow: "channel allowlist",
+    channelBlock: "channel blocklist",
+    musicItem: "YouTube Music song/album",
+    podcastItem: "YouTube Music podcast/episode",
+    strong: "strong music keyword",
+    moderate: "moderate music keyword",
+    non: "non-music keyword",
+    channelToken: "channel music token",
+    durationInRange: "duration in music range",
+    durationExtreme: "extremely short/long duration",
+    topicChannel: "\"- Topic\" channel",
+    artistBadge: "artist badge",
+    mix: "Mix",
+    playlist: "playlist"
+  };
+
+  function describeMatch(match) {
+    if (match.list === "channelAllow" || match.list === "channelBlock") {
+      return `The channel ${match.keyword} is on your ${LIST_NAMES[match.list]}.`;
+    }
+    return `The ${FIELD_NAMES[match.field] || match.field} matches "${match.keyword}" ` +
+      `from ${LIST_NAMES[match.list] || match.list}.`;
+  }
+
+  // Sentences explaining a decision (a classify() result, or
+  // { isMusic, reason } for decisions made outside the rules: "override",
+  // "shorts", "shorts-default"). The first sentence is the verdict.
+  function describeDecision(result) {
+    const explanation = result.explanation || {};
+    const seconds = explanation.durationSeconds;
+    const length = seconds == null ? "" : formatDuration(seconds);
+    const lines = [result.isMusic ? "Shown: treated as music." : "Hidden: treated as not music."];
+    const verdictWord = result.isMusic ? "music" : "not music";
+
+    (explanation.matches || []).forEach((match) => lines.push(describeMatch(match)));
+
+    switch (result.reason) {
+      case "override":
+        lines.push(`You pinned this video as ${verdictWord}.`);
+        break;
+      case "shorts":
+        lines.push("Your Shorts setting hides every Short.");
+        break;
+      case "shorts-default":
+        lines.push("No rule recognized it as music, and your Shorts setting hides those Shorts.");
+        break;
+      case "music-item":
+      case "podcast-item":
+        lines.push(`YouTube Music lists it as a ${explanation.itemType || "item"}.`);
+        break;
+      case "topic-channel":
+      case "artist-badge":
+      case "mix":
+      case "playlist":
+        lines.push(`It is ${SIGNAL_NAMES[explanation.signal] || result.reason}, ` +
+          `which your Structural Signals setting treats as ${verdictWord}.`);
+        break;
+      case "live":
+        lines.push(`It is a live stream with no duration, and your setting ${result.isMusic ? "shows" : "hides"} those.`);
+        break;
+      case "too-long":
+        lines.push(`At ${length} it is longer than your ${explanation.limit.value}-minute limit.`);
+        break;
+      case "too-short":
+        lines.push(`At ${length} it is shorter than your ${explanation.limit.value}-second limit.`);
+        break;
+      case "moderate+duration":
+        lines.push(explanation.limit.setting === "extremeShortSeconds"
+          ? `At ${length} it is shorter than ${explanation.limit.value} seconds, too short for music, so the keyword is not trusted.`
+          : `At ${length} it is longer than ${explanation.limit.value} seconds, too long for music, so the keyword is not trusted.`);
+        break;
+      case "duration+channel":
+        lines.push(`At ${length} it is within the music length of ${explanation.range.min}-${explanation.range.max} seconds.`);
+        break;
+      case "default":
+        lines.push(`No rule matched, and your default when unsure is to ${explanation.policy === "hide" ? "hide" : "show"} it.`);
+        break;
+      case "score": {
+        if (explanation.pinned !== undefined) {
+          lines.push(`You pinned this video as ${explanation.pinned ? "music" : "not music"}.`);
+        }
+        const parts = (result.breakdown || []).map((entry) =>
+          `${SCORE_SIGNAL_NAMES[entry.signal] || entry.signal} ${entry.weight >= 0 ? "+" : ""}${entry.weight}`);
+        lines.push(`Score ${result.score} (${parts.join(", ")}) is ` +
+          `${result.isMusic ? "at or above" : "below"} the threshold of ${result.threshold}.`);
+        break;
+      }
+      default:
+        break;
+    }
+
+    // Decisions made outside the rules have no duration to report.
+    if (explanation.durationSeconds !== undefined) {
+      lines.push(length ? `Duration: ${length} (${seconds} seconds).` : "Duration: unknown.");
+    }
+    return lines;
+  }
+
+  // Expose on globalThis for other scripts.
+  globalThis.MV_CLASSIFIER = {
+    MUSIC_ONLY_ITEM_TYPES,
+    NON_MUSIC_ITEM_TYPES,
+    STRUCTURAL_SIGNALS,
+    normalizeText,
+    toMatchText,
+    matchesList,
+    findListMatch,
+    decodeHandle,
+    normalizeChannelRef,
+    normalizeChannelList,
+    channelEntryProblem,
+    validateChannelEntries,
+    buildMatchers,
+    buildContextSettings,
+    durationToSeconds,
+    formatDuration,
+    videoDataFrom,
+    classify,
+    classifyByCascade,
+    classifyByScore,
+    formatBreakdown,
+    describeDecision
+  };
+})();
@@ -14,22 +14,47 @@
   // ---------------------------------------------------------------------------
   const API = typeof browser !== "undefined" ? browser : chrome;
 
-  // Storage keys so we do not collide with other extensions.
-  const SETTINGS_KEY = "mvSettings";
-  const CACHE_KEY = "mvCache";
-  const RESCAN_KEY = "mvRescanToken";
+  // Storage, settings and change handling (src/settings.js).
+  const STORE = globalThis.MV_SETTINGS;
+
+  // Matching and the music / non-music decision (src/classifier.js).
+  const CLASSIFIER = globalThis.MV_CLASSIFIER;
 
-  // How many cached decisions we keep before trimming.
-  const MAX_CACHE_ENTRIES = 5000;
+  // Requests to the background worker (src/messages.js).
+  const MESSAGES = globalThis.MV_MESSAGES;
+
+  // Storage keys so we do not collide with other extensions.
+  const {
+    SETTINGS_KEY,
+    OVERRIDES_KEY,
+    FILTER_LISTS_KEY
+  } = STORE.KEYS;
+
+  // How many decisions a tab remembers while it is open. The background
+  // worker owns the stored cache; this is only a memo in front of it.
+  const MAX_MEMO_ENTRIES = 1000;
+
+  // How long new decisions are collected before they are sent to the
+  // background worker, which stores the cache.
+  const CACHE_REPORT_DELAY_MS = 1000;
+
+  // Records posted by src/page-data.js (page world) and how many we keep.
+  const PAGE_DATA_SOURCE = "mv-page-data";
+  const MAX_PAGE_META_ENTRIES = 3000;
+
+  // Home feed backfill: at most this many "load more" nudges per page
+  // visit, and how long the continuation sentinel stays pulled into view.
+  const MAX_BACKFILL_ROUNDS = 6;
+  const BACKFILL_RELEASE_MS = 2500;
+  const HOME_TILE_SELECTOR = "ytd-rich-item-renderer, ytd-grid-video-renderer";
+  const HIDDEN_COUNTER_ID = "mv-hidden-counter";
 
   // How long we wait before fully removing a blocked item from layout.
   const HIDE_DELAY_MS = 150;
 
-  // Duration heuristics (in seconds)
-  const MUSIC_MIN_SECONDS = 90;      // 1.5 minutes
-  const MUSIC_MAX_SECONDS = 600;     // 10 minutes
-  const EXTREME_SHORT = 30;          // 30 seconds
-  const EXTREME_LONG = 30 * 60;      // 30 minutes
+  // Duration heuristics (in seconds) now live in settings
+  // (musicMinSeconds, musicMaxSeconds, extremeShortSeconds, extremeLongSeconds)
+  // so they can differ per page context.
 
   // The list of YouTube recommendation renderers we check.
   // We keep them split by page context so we can limit scope.
@@ -81,29 +106,143 @@
     "yt-lockup-view-model"
   ];
 
+  const SEARCH_SELECTORS = [
+    "ytd-video-renderer",
+    "ytd-playlist-renderer",
+    "ytd-radio-renderer",
+    "ytd-movie-renderer",
+    "yt-lockup-view-model"
+  ];
+
+  const CHANNEL_SELECTORS = [
+    "ytd-rich-item-renderer",
+    "ytd-grid-video-renderer",
+    "ytd-video-renderer",
+    "yt-lockup-view-model"
+  ];
+
+  const SUBSCRIPTIONS_SELECTORS = [
+    "ytd-rich-item-renderer",
+    "ytd-grid-video-renderer",
+    "ytd-video-renderer",
+    "yt-lockup-view-model"
+  ];
+
+  // Items inside Shorts shelves (home, search, subscriptions...).
+  const SHORTS_SHELF_SELECTORS = [
+    "ytd-reel-shelf-renderer ytd-reel-item-renderer",
+    "ytd-reel-shelf-renderer ytm-shorts-lockup-view-model",
+    "ytd-rich-shelf-renderer[is-shorts] ytd-rich-item-renderer",
+    "ytd-rich-shelf-renderer[is-shorts] ytm-shorts-lockup-view-model"
+  ];
+
+  // Shorts shelves are their own context, so the other contexts skip them.
+  const SHORTS_SHELF_CONTAINER = "ytd-reel-shelf-renderer, ytd-rich-shelf-renderer[is-shorts]";
+
+  // Tiles that are always Shorts, whatever their link looks like.
+  const SHORTS_TILE_RENDERERS = ["ytd-reel-item-renderer", "ytm-shorts-lockup-view-model"];
+
+  // The suggestion wall shown in the player when a video ends.
+  const END_SCREEN_SELECTORS = [
+    "a.ytp-videowall-still",
+    "a.ytp-modern-videowall-still"
+  ];
+
+  // YouTube Music (music.youtube.com): home/explore shelves, lists and the
+  // "Up next" queue in the player page.
+  const MUSIC_SITE_HOST = "music.youtube.com";
+
+  const MUSIC_SITE_SELECTORS = [
+    "ytmusic-two-row-item-renderer",
+    "ytmusic-responsive-list-item-renderer",
+    "ytmusic-player-queue-item"
+  ];
+
+  // Item types YouTube Music prints at the start of a card's subtitle.
+  const MUSIC_ITEM_TYPES = [
+    "song", "video", "album", "single", "ep", "playlist", "artist", "podcast", "episode", "profile"
+  ];
+
+  // Tiles recognized by their renderer rather than their title.
+  const MIX_RENDERERS = ["ytd-compact-radio-renderer", "ytd-radio-renderer", "ytd-compact-mix-renderer"];
+  const PLAYLIST_RENDERERS = ["ytd-compact-playlist-renderer", "ytd-playlist-renderer", "ytd-grid-playlist-renderer"];
+  const ARTIST_BADGE_SELECTOR = ".badge-style-type-verified-artist, [aria-label=\"Official Artist Channel\"]";
+  const PLAYLIST_THUMBNAIL_SELECTOR = "yt-collection-thumbnail-view-model, ytd-playlist-thumbnail";
+
   // ---------------------------------------------------------------------------
-  // 2) Settings and cache (in-memory for speed, persisted for next visit)
+  // 2) Settings and decision memo
   // ---------------------------------------------------------------------------
-  const DEFAULTS = globalThis.MV_DEFAULT_SETTINGS || {
-    strongMusicKeywords: [],
-    moderateMusicKeywords: [],
-    nonMusicKeywords: [],
-    channelMusicTokens: [],
-    defaultPolicy: "show",
-    showBlocked: false,
-    debounceMs: 60,
-    debugMode: false
-  };
+  const DEFAULTS = STORE.DEFAULTS;
 
   let settings = { ...DEFAULTS };
 
-  // Map<cacheKey, { isMusic: boolean, ts: number }>
-  const decisionCache = new Map();
-  let cacheSaveTimer = null;
+  // Map<cacheKey, { isMusic: boolean, reason: string, fp: string } | null>
+  // Decisions this tab already knows. null means the background worker had
+  // none for the key, so the tile is classified here.
+  const decisionMemo = new Map();
+
+  // Keys waiting for a lookup in the worker's cache. The generation goes up
+  // when the cache is cleared, so a late answer is ignored.
+  let lookupKeys = new Set();
+  let lookupScheduled = false;
+  let memoGeneration = 0;
+
+  // Decisions made since the last report to the background worker.
+  let pendingDecisions = {};
+  let cacheReportTimer = null;
+
+  // Manual per-video pins set from the tile controls.
+  // { [videoId]: { isMusic: boolean, title: string, channel: string, ts: number } }
+  // Stored separately from the cache so trimming never drops them.
+  let overrides = {};
+
+  // Subscribed filter lists (managed in the options page).
+  // [{ id, name, version, source, url, enabled, updatedAt, lists: { [listKey]: string[] } }]
+  let filterLists = [];
+
+  // Metadata YouTube embedded in the page (ytInitialData, continuations),
+  // indexed by video ID. Filled by src/page-data.js; never persisted.
+  // Map<videoId, { title, channel, channelId, channelHandle, durationText,
+  //   lengthSeconds, isLive, isTopicChannel, isVerifiedArtist }>
+  const pageMeta = new Map();
+
+  // The latest decision for every tile on the page, counted for the popup
+  // and the toolbar badge and listed in the popup's blocked list. Tiles
+  // YouTube removed are dropped when counting.
+  // Map<Element, { isMusic: boolean, reason: string, cached: boolean,
+  //   videoId, title, channel, durationText, durationSeconds }>
+  const pageDecisions = new Map();
+  let lastStatsReport = "";
+
+  // Tiles get a page-local ID (data-mv-tile-id) so the popup can point at one.
+  let nextTileId = 0;
+
+  // How long a tile the popup jumped to stays highlighted.
+  const LOCATE_HIGHLIGHT_MS = 2000;
+
+  // Settings keys that never change a verdict, so editing them must not
+  // invalidate cached decisions.
+  const FINGERPRINT_IGNORED_KEYS = [
+    "showBlocked",
+    "blockedDisplay",
+    "homeBackfillTarget",
+    "showHiddenCounter",
+    "debugMode",
+    "debounceMs"
+  ];
 
   // Keyword matchers are the normalized versions of the lists.
   let matchers = buildMatchers(settings);
 
+  // Fingerprint of the rules that produced a cached decision. Entries with a
+  // different fingerprint are stale and get reclassified.
+  let settingsFingerprint = computeFingerprint(settings, matchers);
+
+  // Effective settings per page context (global settings + that context's
+  // profile), rebuilt whenever settings change.
+  // Map<contextId, { profile: object, fingerprint: string }>
+  let contextProfileCache = new Map();
+
   // Debug info (only used when debugMode is true).
   const debugState = {
     scanned: 0,
@@ -116,144 +255,71 @@
     candidates: 0,
     skippedNoData: 0,
     skippedProcessed: 0,
-    cacheHits: 0
+    cacheHits: 0,
+    metaHits: 0,
+    modeDisagreements: 0
   };
 
   const DEBUG_BADGE_ID = "mv-debug-badge";
 
   // ---------------------------------------------------------------------------
-  // 3) Storage helpers (Promise-based so we can `await` them)
+  // 3) Storage helpers (shared with the popup and options page, src/settings.js)
   // ---------------------------------------------------------------------------
-  function storageGet(defaults) {
-    return new Promise((resolve) => {
-      try {
-        if (API?.storage?.local?.get) {
-          const maybePromise = API.storage.local.get(defaults, (result) => {
-            if (API?.runtime?.lastError) {
-              resolve(defaults);
-            } else {
-              resolve(result);
-            }
-          });
-
-          // If the API returns a Promise (Firefox), use it.
-          if (maybePromise && typeof maybePromise.then === "function") {
-            maybePromise.then(resolve).catch(() => resolve(defaults));
-          }
-        } else {
-          resolve(defaults);
-        }
-      } catch (err) {
-        resolve(defaults);
-      }
-    });
-  }
-
-  function storageSet(data) {
-    return new Promise((resolve) => {
-      try {
-        if (API?.storage?.local?.set) {
-          const maybePromise = API.storage.local.set(data, () => resolve());
-          if (maybePromise && typeof maybePromise.then === "function") {
-            maybePromise.then(resolve).catch(resolve);
-          }
-        } else {
-          resolve();
-        }
-      } catch (err) {
-        resolve();
-      }
-    });
-  }
+  const { storageGet } = STORE;
 
   // ---------------------------------------------------------------------------
-  // 4) Text normalization and matching helpers
+  // 4) Text normalization and matching helpers (src/classifier.js)
   // ---------------------------------------------------------------------------
-  function normalizeText(text) {
-    if (!text) return "";
-    return text
-      .toLowerCase()
-      .replace(/[^a-z0-9]+/g, " ")
-      .replace(/\s+/g, " ")
-      .trim();
-  }
+  const { normalizeText, toMatchText, normalizeChannelRef } = CLASSIFIER;
 
-  function containsToken(normalizedText, normalizedToken) {
-    if (!normalizedText || !normalizedToken) return false;
-    const hay = ` ${normalizedText} `;
-    const needle = ` ${normalizedToken} `;
-    return hay.includes(needle);
+  // Invalid re:/glob: entries are flagged in the options page; here they are
+  // only logged and skipped.
+  function buildMatchers(currentSettings) {
+    return CLASSIFIER.buildMatchers(currentSettings, filterLists, (entry, err) => {
+      debugLog("Ignoring invalid pattern", entry, err.message);
+    });
   }
 
-  function containsAny(normalizedText, normalizedTokens) {
-    for (const token of normalizedTokens) {
-      if (containsToken(normalizedText, token)) {
-        return true;
-      }
-    }
-    return false;
+  function computeFingerprint(currentSettings, currentMatchers) {
+    const relevant = {};
+    Object.keys(currentSettings)
+      .filter((key) => !FINGERPRINT_IGNORED_KEYS.includes(key))
+      .sort()
+      .forEach((key) => {
+        relevant[key] = currentSettings[key];
+      });
+
+    return STORE.hashString(JSON.stringify({ settings: relevant, matchers: currentMatchers }));
   }
 
-  function normalizeList(listValue) {
-    // We accept arrays or strings. If a string slips in, split by newline or comma.
-    if (Array.isArray(listValue)) {
-      return listValue.map(normalizeText).filter(Boolean);
+  function getContextSettings(contextId) {
+    const key = contextId || "";
+    let entry = contextProfileCache.get(key);
+    if (!entry) {
+      const profile = CLASSIFIER.buildContextSettings(settings, key);
+      // showBlocked/blockedDisplay do not change verdicts, so they stay out
+      // of the fingerprint.
+      const { showBlocked, blockedDisplay, ...verdictKeys } = profile;
+      entry = {
+        profile,
+        fingerprint: STORE.hashString(`${settingsFingerprint}|${JSON.stringify(verdictKeys)}`)
+      };
+      contextProfileCache.set(key, entry);
     }
-    if (typeof listValue === "string") {
-      return listValue
-        .split(/\n|,/)
-        .map(normalizeText)
-        .filter(Boolean);
-    }
-    return [];
+    return entry;
   }
 
-  function buildMatchers(currentSettings) {
-    return {
-      strong: normalizeList(currentSettings.strongMusicKeywords),
-      moderate: normalizeList(currentSettings.moderateMusicKeywords),
-      non: normalizeList(currentSettings.nonMusicKeywords),
-      channel: normalizeList(currentSettings.channelMusicTokens)
-    };
+  // Call after `settings` changes.
+  function refreshDerivedSettings() {
+    matchers = buildMatchers(settings);
+    settingsFingerprint = computeFingerprint(settings, matchers);
+    contextProfileCache = new Map();
   }
 
   // ---------------------------------------------------------------------------
-  // 5) Duration parsing
+  // 5) Duration parsing (src/classifier.js)
   // ---------------------------------------------------------------------------
-  function durationToSeconds(text) {
-    if (!text) return null;
-
-    const cleaned = text.toLowerCase().replace(/\s+/g, " ").trim();
-
-    // If there are no digits at all, we can't parse a time.
-    if (!/\d/.test(cleaned)) return null;
-
-    // Keep only digits and colons, then split by colon.
-    const parts = cleaned.replace(/[^0-9:]/g, "").split(":").filter(Boolean);
-    if (parts.length === 0) return null;
-
-    // Parse from right to left (seconds, minutes, hours).
-    let seconds = 0;
-    let multiplier = 1;
-    for (let i = parts.length - 1; i >= 0; i -= 1) {
-      const value = parseInt(parts[i], 10);
-      if (Number.isNaN(value)) return null;
-      seconds += value * multiplier;
-      multiplier *= 60;
-    }
-
-    return seconds;
-  }
-
-  function durationInMusicRange(seconds) {
-    if (seconds == null) return false;
-    return seconds >= MUSIC_MIN_SECONDS && seconds <= MUSIC_MAX_SECONDS;
-  }
-
-  function durationStronglyContradicts(seconds) {
-    if (seconds == null) return false;
-    return seconds < EXTREME_SHORT || seconds > EXTREME_LONG;
-  }
+  const { durationToSeconds, formatDuration } = CLASSIFIER;
 
   // ---------------------------------------------------------------------------
   // 6) Extract data from a recommendation element
@@ -297,6 +363,9 @@
   }
 
   function findBestLink(root) {
+    // End screen tiles are the link themselves.
+    if (root.matches("a[href]")) return root;
+
     // Prefer title link if it exists.
     const titleLink = root.querySelector("a#video-title, a#video-title-link");
     if (titleLink) return titleLink;
@@ -329,6 +398,13 @@
       if (aria) return aria;
     }
 
+    // End screen tiles keep the title in their own info block.
+    const wallTitle = root.querySelector(".ytp-videowall-still-info-title, .ytp-modern-videowall-still-info-title");
+    if (wallTitle && wallTitle.textContent) {
+      const t = wallTitle.textContent.trim();
+      if (t) return t;
+    }
+
     // Newer layouts often store the title in yt-formatted-string nodes.
     const formatted = root.querySelector("yt-formatted-string#video-title, #video-title, h3 a, h3 span");
     if (formatted && formatted.textContent) {
@@ -391,6 +467,13 @@
       if (titleAttr) return titleAttr;
     }
 
+    // End screen tiles show "Channel • 1.2M views"; keep only the channel.
+    const wallAuthor = root.querySelector(".ytp-videowall-still-info-author, .ytp-modern-videowall-still-info-author");
+    if (wallAuthor && wallAuthor.textContent) {
+      const text = wallAuthor.textContent.split("\u2022")[0].trim();
+      if (text) return text;
+    }
+
     // Final fallback: look for any anchor that points to a channel or @handle.
     const channelLink = root.querySelector(
       "a[href*=\"/channel/\"], a[href*=\"/user/\"], a[href*=\"/@\"]"
@@ -403,6 +486,33 @@
     return "";
   }
 
+  // The channel's handle and/or ID, read from the channel link's href.
+  // Display names are not unique, so the allow/block lists key on these.
+  function extractChannelRefs(root) {
+    const refs = { handle: "", channelId: "" };
+    const container = root.querySelector("ytd-channel-name, #channel-name");
+    const links = [
+      ...(container ? container.querySelectorAll("a[href]") : []),
+      ...root.querySelectorAll("a[href*=\"/@\"], a[href*=\"channel/\"]")
+    ];
+
+    for (const link of links) {
+      const href = link.getAttribute("href") || "";
+      if (!refs.handle) {
+        const handleMatch = href.match(/(?:^|\/)(@[^/?#]+)/);
+        if (handleMatch) refs.handle = CLASSIFIER.decodeHandle(handleMatch[1]);
+      }
+      if (!refs.channelId) {
+        // YouTube Music uses relative links ("channel/UC...").
+        const idMatch = href.match(/(?:^|\/)channel\/([^/?#]+)/);
+        if (idMatch) refs.channelId = idMatch[1];
+      }
+      if (refs.handle && refs.channelId) break;
+    }
+
+    return refs;
+  }
+
   function extractDurationText(root) {
     // The duration overlay is usually here.
     const durationEl = root.querySelector("ytd-thumbnail-overlay-time-status-renderer");
@@ -417,6 +527,12 @@
       }
     }
 
+    // End screen tiles.
+    const wallDuration = root.querySelector(".ytp-videowall-still-info-duration, .ytp-modern-videowall-still-info-duration");
+    if (wallDuration && wallDuration.textContent) {
+      return wallDuration.textContent.trim();
+    }
+
     // Fallback: any span that looks like a duration overlay.
     const spanFallback = root.querySelector("span.ytd-thumbnail-overlay-time-status-renderer");
     if (spanFallback && spanFallback.textContent) {
@@ -426,15 +542,75 @@
     return "";
   }
 
-  function extractVideoData(root) {
-    const title = extractTitle(root);
-    const href = extractHref(root);
-    const channel = extractChannel(root);
+  // Live streams show a "LIVE" overlay or badge instead of a duration.
+  function extractIsLive(root) {
+    if (root.querySelector(
+      "ytd-thumbnail-overlay-time-status-renderer[overlay-style=\"LIVE\"], " +
+      ".badge-style-type-live-now, .badge-style-type-live-now-alternate"
+    )) {
+      return true;
+    }
+
     const durationText = extractDurationText(root);
-    const durationSeconds = durationToSeconds(durationText);
+    return /^live$/i.test(durationText);
+  }
 
+  function extractVideoData(root) {
+    return buildVideoData({
+      title: extractTitle(root),
+      href: extractHref(root),
+      channel: extractChannel(root),
+      channelRefs: extractChannelRefs(root),
+      durationText: extractDurationText(root),
+      isLive: extractIsLive(root),
+      root
+    });
+  }
+
+  // Mixes, playlists, topic channels and artist badges, read from the tile
+  // itself (renderer name, link and badges).
+  function extractStructure(root, href, channel) {
+    let listId = "";
+    let hasVideoParam = false;
+    try {
+      const url = new URL(href || "", window.location.origin);
+      listId = url.searchParams.get("list") || "";
+      hasVideoParam = url.searchParams.has("v");
+    } catch (err) {
+      // Leave the defaults.
+    }
+
+    const name = root ? root.localName : "";
+    // Mix/radio playlists have IDs starting with "RD".
+    const isMix = MIX_RENDERERS.includes(name) || /^RD/.test(listId);
+    const isPlaylist = !isMix && (
+      PLAYLIST_RENDERERS.includes(name) ||
+      (Boolean(listId) && (!hasVideoParam || Boolean(root?.querySelector(PLAYLIST_THUMBNAIL_SELECTOR))))
+    );
+
+    return {
+      isMix,
+      isPlaylist,
+      isTopicChannel: / - topic$/i.test((channel || "").trim()),
+      isVerifiedArtist: Boolean(root?.querySelector(ARTIST_BADGE_SELECTOR))
+    };
+  }
+
+  // Shared by the www.youtube.com and music.youtube.com extractors.
+  // Text the tile has not painted yet is filled in from the page metadata.
+  function buildVideoData(fields) {
+    const { href, channelRefs, root } = fields;
     const videoId = extractVideoId(href, root);
+    const meta = getPageMeta(videoId) || {};
+
+    const title = fields.title || meta.title || "";
+    const channel = fields.channel || meta.channel || "";
+    const durationText = fields.durationText || meta.durationText || "";
+    const durationSeconds = durationToSeconds(durationText) ?? meta.lengthSeconds ?? null;
     const normalizedTitle = normalizeText(title);
+    const structure = extractStructure(root, href, channel);
+    const isShort = /(?:^|\/)shorts\//.test(href || "") ||
+      Boolean(root && SHORTS_TILE_RENDERERS.includes(root.localName));
 
     const cacheKey = videoId
       ? `id:${videoId}`
@@ -444,14 +620,158 @@
       title,
       href,
       channel,
+      channelHandle: channelRefs.handle || meta.channelHandle || "",
+      channelId: channelRefs.channelId || meta.channelId || "",
       durationText,
       durationSeconds,
       videoId,
       normalizedTitle,
-      cacheKey
+      cacheKey,
+      musicItemType: fields.musicItemType || "",
+      isLive: Boolean(fields.isLive || meta.isLive),
+      isTopicChannel: structure.isTopicChannel || Boolean(meta.isTopicChannel),
+      isVerifiedArtist: structure.isVerifiedArtist || Boolean(meta.isVerifiedArtist),
+      isShort,
+      isMix: structure.isMix,
+      isPlaylist: structure.isPlaylist,
+      hasPageMeta: Boolean(meta.videoId)
     };
   }
 
+  // ---------------------------------------------------------------------------
+  // 6b) Extract data from a YouTube Music (music.youtube.com) item
+  // ---------------------------------------------------------------------------
+  function isMusicSiteElement(el) {
+    return el.localName.startsWith("ytmusic-");
+  }
+
+  function extractMusicVideoData(root) {
+    const titleEl = root.querySelector(".song-title, yt-formatted-string.title, .title");
+    const title = ((titleEl?.getAttribute("title") || titleEl?.textContent) || "").trim();
+
+    // Bylines look like "Artist • Album" or, on cards, "Song • Artist".
+    const bylineEl = root.querySelector(".byline, .subtitle, .secondary-flex-columns");
+    const bylineParts = (bylineEl?.textContent || "")
+      .split("\u2022")
+      .map((part) => part.trim())
+      .filter(Boolean);
+
+    let musicItemType = "";
+    if (bylineParts.length > 1 && MUSIC_ITEM_TYPES.includes(bylineParts[0].toLowerCase())) {
+      musicItemType = bylineParts.shift().toLowerCase();
+    }
+
+    const link = root.querySelector(
+      "a[href*=\"watch?v=\"], a[href*=\"podcast\"], a[href*=\"browse/\"]"
+    );
+    const href = link ? (link.getAttribute("href") || "") : "";
+
+    // Podcast pages and shows use their own browse IDs ("MPSP...").
+    if (/podcast|browse\/MPSP/i.test(href)) {
+      musicItemType = musicItemType || "podcast";
+    }
+
+    const durationEl = root.querySelector(".duration, .fixed-column, .fixed-columns");
+
+    return buildVideoData({
+      title,
+      href,
+      channel: bylineParts[0] || "",
+      channelRefs: extractChannelRefs(root),
+      durationText: (durationEl?.textContent || "").trim(),
+      musicItemType,
+      root
+    });
+  }
+
+  function extractForElement(el) {
+    return isMusicSiteElement(el) ? extractMusicVideoData(el) : extractVideoData(el);
+  }
+
+
+  // ---------------------------------------------------------------------------
+  // 6c) Page metadata (records posted by src/page-data.js)
+  // ---------------------------------------------------------------------------
+  function getPageMeta(videoId) {
+    return videoId ? pageMeta.get(videoId) || null : null;
+  }
+
+  // Empty text means the record did not have the field.
+  function asText(value) {
+    return typeof value === "string" && value ? value.slice(0, 300) : null;
+  }
+
+  function asBoolean(value) {
+    return typeof value === "boolean" ? value : null;
+  }
+
+  // The page can post anything, so only plain values of the expected types
+  // are kept. null marks a field the record does not know.
+  function sanitizePageMeta(item) {
+    if (!item || typeof item !== "object" || typeof item.videoId !== "string") return null;
+    if (!/^[\w-]{6,20}$/.test(item.videoId)) return null;
+
+    const lengthSeconds = Number(item.lengthSeconds);
+    return {
+      videoId: item.videoId,
+      title: asText(item.title),
+      channel: asText(item.channel),
+      channelId: asText(item.channelId),
+      channelHandle: asText(item.channelHandle),
+      durationText: asText(item.durationText),
+      lengthSeconds: Number.isFinite(lengthSeconds) && lengthSeconds > 0 ? lengthSeconds : null,
+      isLive: asBoolean(item.isLive),
+      isTopicChannel: asBoolean(item.isTopicChannel),
+      isVerifiedArtist: asBoolean(item.isVerifiedArtist)
+    };
+  }
+
+  function storePageMeta(items) {
+    let added = 0;
+    items.forEach((item) => {
+      const clean = sanitizePageMeta(item);
+      if (!clean) return;
+
+      // Keep fields an earlier record had (for example a sidebar tile's
+      // channel handle) when a later record for the same video lacks them.
+      // A later false or 0 is a real value and replaces the earlier one.
+      const previous = pageMeta.get(clean.videoId);
+      const merged = { ...clean };
+      if (previous) {
+        Object.entries(previous).forEach(([key, value]) => {
+          if (merged[key] === undefined || merged[key] === null) {
+            merged[key] = value;
+          }
+        });
+        pageMeta.delete(clean.videoId);
+      }
+      pageMeta.set(clean.videoId, merged);
+      added += 1;
+    });
+
+    // Drop the oldest records (Map keeps insertion order).
+    while (pageMeta.size > MAX_PAGE_META_ENTRIES) {
+      pageMeta.delete(pageMeta.keys().next().value);
+    }
+    return added;
+  }
+
+  window.addEventListener("message", (event) => {
+    if (event.source !== window) return;
+    const message = event.data;
+    if (!message || message.source !== PAGE_DATA_SOURCE || message.type !== "MV_PAGE_DATA") return;
+    if (!Array.isArray(message.items)) return;
+
+    const added = storePageMeta(message.items);
+    debugLog("Page metadata received", { added, indexed: pageMeta.size });
+
+    // Tiles skipped for lack of text can now be classified.
+    if (added > 0) {
+      scheduleScan();
+    }
+  });
+
+
   // ---------------------------------------------------------------------------
   // 7a) Debug helpers (only when enabled)
   // ---------------------------------------------------------------------------
@@ -492,6 +812,12 @@
       document.documentElement.appendChild(badge);
     }
 
+    // Shorts are counted from the page, so items from earlier scans count too.
+    const shortsSeen = document.querySelectorAll("[data-mv-short=\"1\"]").length;
+    const shortsHidden = document.querySelectorAll("[data-mv-short=\"1\"].mv-blocked").length;
+    const shelvesHidden = [...document.querySelectorAll(".mv-blocked")]
+      .filter((el) => el.matches(SHORTS_SHELF_CONTAINER)).length;
+
     const last = debugState.lastScanAt
       ? new Date(debugState.lastScanAt).toLocaleTimeString()
       : "never";
@@ -507,113 +833,230 @@
       `Skipped(no data): ${debugState.skippedNoData}\n` +
       `Skipped(processed): ${debugState.skippedProcessed}\n` +
       `Cache hits: ${debugState.cacheHits}\n` +
+      `Page metadata: ${debugState.metaHits} used, ${pageMeta.size} indexed\n` +
+      `Shorts: ${shortsSeen} seen, ${shortsHidden} hidden, ${shelvesHidden} shelves hidden (${shortsMode()})\n` +
+      `Mode: ${settings.classifierMode === "score" ? "score" : "cascade"}` +
+      ` (disagree: ${debugState.modeDisagreements})\n` +
       `Last: ${last}\n` +
       `Reason: ${debugState.lastReason || "-"}`;
   }
 
   // ---------------------------------------------------------------------------
-  // 7) Classification algorithm (exact flow from the requirements)
+  // 7) Classification (the rules themselves live in src/classifier.js)
   // ---------------------------------------------------------------------------
-  function classifyVideo(data) {
-    const combined = normalizeText(`${data.title} ${data.channel}`);
-    const channelNormalized = normalizeText(data.channel);
+  // `profile` is the effective settings for the page context (see getContextSettings).
+  function classifyVideo(data, profile) {
+    return CLASSIFIER.classify(data, profile, { settings, matchers, overrides });
+  }
 
-    // 1) Strong music keywords -> MUSIC
-    if (containsAny(combined, matchers.strong)) {
-      return { isMusic: true, reason: "strong" };
+  // In "music-only" Shorts mode an unsure Short is hidden.
+  function classifyForShortsMode(data, profile, mode) {
+    const result = classifyVideo(data, profile);
+    if (mode === "music-only" && result.reason === "default") {
+      return { ...result, isMusic: false, reason: "shorts-default" };
     }
+    return result;
+  }
 
-    // 2) Non-music keywords -> NON-MUSIC
-    if (containsAny(combined, matchers.non)) {
-      return { isMusic: false, reason: "non" };
-    }
+  // The mode that is not selected, so debug mode can compare both.
+  function classifyWithOtherMode(data, profile) {
+    const classify = settings.classifierMode === "score"
+      ? CLASSIFIER.classifyByCascade
+      : CLASSIFIER.classifyByScore;
+    return classify(data, profile, { settings, matchers, overrides });
+  }
 
-    // 3) Moderate keywords -> MUSIC unless duration strongly contradicts
-    if (containsAny(combined, matchers.moderate)) {
-      if (durationStronglyContradicts(data.durationSeconds)) {
-        return { isMusic: false, reason: "moderate+duration" };
-      }
-      return { isMusic: true, reason: "moderate" };
+  // ---------------------------------------------------------------------------
+  // 8) Decision memo (the background worker owns the cache, src/background.js)
+  // ---------------------------------------------------------------------------
+  // The decision for `key` under the current rules: an entry, null when the
+  // tile has to be classified here, or undefined when the worker has not
+  // been asked yet.
+  function memoGet(key, fingerprint) {
+    if (!decisionMemo.has(key)) return undefined;
+
+    // Decisions made under different rules (or a context profile with
+    // different rules) are stale: the caller reclassifies.
+    const entry = decisionMemo.get(key);
+    if (entry && entry.fp !== fingerprint) {
+      decisionMemo.set(key, null);
+      return null;
     }
+    return entry;
+  }
 
-    // 4) Duration in music range AND channel looks music-ish -> MUSIC
-    if (durationInMusicRange(data.durationSeconds) && containsAny(channelNormalized, matchers.channel)) {
-      return { isMusic: true, reason: "duration+channel" };
+  function memoSet(key, entry) {
+    decisionMemo.delete(key);
+    decisionMemo.set(key, entry);
+    if (decisionMemo.size > MAX_MEMO_ENTRIES) {
+      decisionMemo.delete(decisionMemo.keys().next().value);
     }
+  }
 
-    // 5) Default policy (conservative: do NOT hide unless confident)
-    const defaultIsMusic = settings.defaultPolicy !== "hide";
-    return { isMusic: defaultIsMusic, reason: "default" };
+  // Tiles seen for the first time wait for one lookup in the worker's cache.
+  // Every key asked for during a scan goes in the same request.
+  function requestLookup(key) {
+    lookupKeys.add(key);
+    if (lookupScheduled) return;
+    lookupScheduled = true;
+    setTimeout(flushLookups, 0);
   }
 
-  // ---------------------------------------------------------------------------
-  // 8) Cache helpers
-  // ---------------------------------------------------------------------------
-  function cacheGet(key) {
-    if (!key) return null;
-    const entry = decisionCache.get(key);
-    if (!entry) return null;
+  async function flushLookups() {
+    const keys = [...lookupKeys];
+    const generation = memoGeneration;
+    lookupKeys = new Set();
+    lookupScheduled = false;
+
+    const response = await MESSAGES.send({ type: MESSAGES.TYPES.GET_DECISIONS, keys });
+    if (generation !== memoGeneration) return;
 
-    // Touch the entry to keep it fresh (LRU-ish behavior).
-    decisionCache.delete(key);
-    decisionCache.set(key, { ...entry, ts: Date.now() });
+    // No answer (or no entry) means the tile is classified here.
+    const entries = response?.entries || {};
+    keys.forEach((key) => memoSet(key, entries[key] || null));
 
-    return entry.isMusic;
+    // The waiting tiles are decided on the next scan.
+    scheduleScan();
   }
 
-  function cacheSet(key, isMusic) {
+  function rememberDecision(key, result, fingerprint) {
     if (!key) return;
 
-    decisionCache.set(key, { isMusic, ts: Date.now() });
+    const entry = { isMusic: result.isMusic, reason: result.reason, fp: fingerprint };
+    memoSet(key, entry);
 
-    // Trim the cache if it grows too large.
-    if (decisionCache.size > MAX_CACHE_ENTRIES) {
-      const oldestKey = decisionCache.keys().next().value;
-      decisionCache.delete(oldestKey);
-    }
+    pendingDecisions[key] = { ...entry, ts: Date.now() };
+    scheduleCacheReport();
+  }
 
-    scheduleCacheSave();
+  // The background worker stores the cache for every tab, so new decisions
+  // are sent there in batches instead of each tab writing its own copy.
+  function scheduleCacheReport() {
+    if (cacheReportTimer) return;
+    cacheReportTimer = setTimeout(() => {
+      cacheReportTimer = null;
+
+      const entries = pendingDecisions;
+      pendingDecisions = {};
+      MESSAGES.send({ type: MESSAGES.TYPES.STORE_DECISIONS, entries });
+    }, CACHE_REPORT_DELAY_MS);
   }
 
-  function scheduleCacheSave() {
-    if (cacheSaveTimer) return;
-    cacheSaveTimer = setTimeout(() => {
-      cacheSaveTimer = null;
+  // The worker emptied the shared cache.
+  function clearMemo() {
+    decisionMemo.clear();
+    lookupKeys = new Set();
+    memoGeneration += 1;
+    pendingDecisions = {};
+    if (cacheReportTimer) {
+      clearTimeout(cacheReportTimer);
+      cacheReportTimer = null;
+    }
+  }
 
-      // Convert Map -> plain object for storage.
-      const obj = {};
-      for (const [key, value] of decisionCache.entries()) {
-        obj[key] = value;
-      }
+  // ---------------------------------------------------------------------------
+  // 8b) Per-video overrides (pinned verdicts)
+  // ---------------------------------------------------------------------------
+  function getOverride(videoId) {
+    if (!videoId) return null;
+    const entry = overrides[videoId];
+    if (!entry || typeof entry.isMusic !== "boolean") return null;
+    return entry;
+  }
 
-      storageSet({ [CACHE_KEY]: obj });
-    }, 1000);
+  // The background worker stores the pin; the storage listener below
+  // picks it up and rescans.
+  async function setOverride(videoId, isMusic, data) {
+    if (!videoId) return;
+
+    await MESSAGES.send({
+      type: MESSAGES.TYPES.SET_OVERRIDE,
+      videoId,
+      isMusic,
+      title: data?.title || "",
+      channel: data?.channel || ""
+    });
   }
 
-  async function loadCache() {
-    const data = await storageGet({ [CACHE_KEY]: {} });
-    const raw = data[CACHE_KEY] || {};
+  // Add or remove a channel on the allow/block list. Adding to one list
+  // removes it from the other so the two never contradict each other.
+  async function toggleChannelList(listKey, channelRef) {
+    const ref = normalizeChannelRef(channelRef);
+    if (!ref) return;
 
-    for (const [key, value] of Object.entries(raw)) {
-      if (value && typeof value.isMusic === "boolean") {
-        decisionCache.set(key, value);
-      }
+    const otherKey = listKey === "channelAllowList" ? "channelBlockList" : "channelAllowList";
+    const current = await STORE.load();
+
+    const list = (current[listKey] || []).filter((entry) => normalizeChannelRef(entry) !== ref);
+    const other = (current[otherKey] || []).filter((entry) => normalizeChannelRef(entry) !== ref);
+    const wasListed = list.length !== (current[listKey] || []).length;
+    if (!wasListed) {
+      list.push(channelRef);
     }
+
+    // The storage listener picks this up, rebuilds matchers and rescans.
+    await STORE.save({ ...current, [listKey]: list, [otherKey]: other });
+  }
+
+  async function loadOverrides() {
+    const data = await storageGet({ [OVERRIDES_KEY]: {} });
+    overrides = data[OVERRIDES_KEY] || {};
+  }
+
+  async function loadFilterLists() {
+    const data = await storageGet({ [FILTER_LISTS_KEY]: [] });
+    filterLists = Array.isArray(data[FILTER_LISTS_KEY]) ? data[FILTER_LISTS_KEY] : [];
   }
 
   // ---------------------------------------------------------------------------
   // 9) DOM hide/show helpers
   // ---------------------------------------------------------------------------
-  function hideElement(el) {
+  // showBlocked can be overridden per page context, so it is read from the
+  // profile of the context the element was processed in.
+  // A tile unhidden from the popup's blocked list counts as shown too, as
+  // long as it still holds the same video (YouTube reuses tiles).
+  function isUnhidden(el) {
+    return el.dataset.mvUnhidden !== undefined && el.dataset.mvUnhidden === (el.dataset.mvKey || "");
+  }
+
+  function showBlockedFor(el) {
+    if (isUnhidden(el)) return true;
+    return Boolean(getContextSettings(el.dataset.mvContext).profile.showBlocked);
+  }
+
+  function usesPlaceholder(el) {
+    return getContextSettings(el.dataset.mvContext).profile.blockedDisplay === "placeholder";
+  }
+
+  // `reason` is the classifier reason; it is kept on the element so the
+  // placeholder can show it when the element is re-hidden later.
+  function hideElement(el, reason) {
     el.classList.add("mv-blocked");
+    if (reason) {
+      el.dataset.mvBlockReason = reason;
+    }
 
     // If user wants to see blocked items, do not fully hide.
-    if (settings.showBlocked) return;
+    if (showBlockedFor(el)) {
+      removePlaceholder(el);
+      el.classList.remove("mv-hidden");
+      el.classList.add("mv-revealed");
+      return;
+    }
+    el.classList.remove("mv-revealed");
+
+    // Placeholder mode: the element stays in the grid, collapsed.
+    if (usesPlaceholder(el)) {
+      el.classList.remove("mv-hidden");
+      ensurePlaceholder(el);
+      return;
+    }
+    removePlaceholder(el);
 
     // Fade out, then remove from layout.
     setTimeout(() => {
       // Only hide if it is still blocked and we are not in "show blocked" mode.
-      if (!settings.showBlocked && el.classList.contains("mv-blocked")) {
+      if (!showBlockedFor(el) && !usesPlaceholder(el) && el.classList.contains("mv-blocked")) {
         el.classList.add("mv-hidden");
       }
     }, HIDE_DELAY_MS);
@@ -622,30 +1065,308 @@
   function unhideElement(el) {
     el.classList.remove("mv-hidden");
     el.classList.remove("mv-blocked");
+    el.classList.remove("mv-revealed");
+    removePlaceholder(el);
+    delete el.dataset.mvBlockReason;
+  }
+
+  // ---------------------------------------------------------------------------
+  // 9a) Placeholder for blocked tiles (blockedDisplay: "placeholder")
+  // ---------------------------------------------------------------------------
+  const PLACEHOLDER_CLASS = "mv-placeholder-box";
+
+  // Short, human wording for the classifier reasons.
+  const REASON_LABELS = {
+    "channel-block": "blocked channel",
+    "podcast-item": "podcast or episode",
+    "topic-channel": "Topic channel",
+    "artist-badge": "artist channel",
+    mix: "Mix",
+    playlist: "playlist",
+    strong: "music keyword",
+    "too-long": "longer than the limit",
+    "too-short": "shorter than the limit",
+    live: "live stream",
+    non: "non-music keyword",
+    "moderate+duration": "duration does not fit music",
+    score: "score below threshold",
+    default: "not recognized as music",
+    shorts: "Shorts",
+    "shorts-default": "Short not recognized as music",
+    override: "pinned as not music"
+  };
+
+  // Wording for reasons that can also keep a tile.
+  const MUSIC_REASON_LABELS = {
+    "channel-allow": "allowed channel",
+    "music-item": "song or album",
+    "topic-channel": "Topic channel",
+    "artist-badge": "artist channel",
+    mix: "Mix",
+    playlist: "playlist",
+    strong: "music keyword",
+    moderate: "moderate music keyword",
+    "duration+channel": "music channel and length",
+    live: "live stream",
+    score: "score above threshold",
+    default: "no rule matched",
+    override: "pinned as music"
+  };
+
+  function describeReason(reason, isMusic = false) {
+    const labels = isMusic ? MUSIC_REASON_LABELS : REASON_LABELS;
+    return labels[reason] || reason || (isMusic ? "music" : "not music");
+  }
+
+  function ensurePlaceholder(el) {
+    el.classList.add("mv-placeholder");
+
+    let box = el.querySelector(`:scope > .${PLACEHOLDER_CLASS}`);
+    if (!box) {
+      box = document.createElement("div");
+      box.className = PLACEHOLDER_CLASS;
+
+      const text = document.createElement("span");
+      text.className = "mv-placeholder-text";
+
+      const toggle = document.createElement("button");
+      toggle.type = "button";
+      toggle.className = "mv-placeholder-toggle";
+
+      box.append(text, toggle);
+      box.addEventListener("click", onPlaceholderClick);
+      box.addEventListener("mouseenter", onExplainHover);
+      el.prepend(box);
+    }
+
+    // Only write when the text changes, so our own edits do not keep
+    // waking the MutationObserver.
+    setTextIfChanged(box.querySelector(".mv-placeholder-text"),
+      `Hidden: ${describeReason(el.dataset.mvBlockReason)}`);
+    setTextIfChanged(box.querySelector(".mv-placeholder-toggle"),
+      el.classList.contains("mv-expanded") ? "Collapse" : "Show");
+  }
+
+  function setTextIfChanged(node, text) {
+    if (node.textContent !== text) {
+      node.textContent = text;
+    }
+  }
+
+  function removePlaceholder(el) {
+    el.classList.remove("mv-placeholder", "mv-expanded");
+    const box = el.querySelector(`:scope > .${PLACEHOLDER_CLASS}`);
+    if (box) box.remove();
+  }
+
+  function onPlaceholderClick(event) {
+    // The tile underneath is a link; the placeholder must not navigate.
+    event.preventDefault();
+    event.stopPropagation();
+
+    const el = event.currentTarget.parentElement;
+    if (!el) return;
+    el.classList.toggle("mv-expanded");
+    ensurePlaceholder(el);
   }
 
+  // Toggle the global showBlocked (context profiles that set their own value win).
   function applyShowBlocked(show) {
     settings.showBlocked = show;
+    contextProfileCache = new Map();
 
-    if (show) {
-      document.documentElement.classList.add("mv-show-blocked");
-      // Remove mv-hidden so elements are visible again.
-      document.querySelectorAll(".mv-blocked").forEach((el) => {
-        el.classList.remove("mv-hidden");
-      });
-    } else {
-      document.documentElement.classList.remove("mv-show-blocked");
-      // Re-hide currently blocked elements.
-      document.querySelectorAll(".mv-blocked").forEach((el) => {
-        if (!el.classList.contains("mv-hidden")) {
-          hideElement(el);
+    // Re-apply to currently blocked elements with their context's value.
+    document.querySelectorAll(".mv-blocked").forEach((el) => hideElement(el));
+  }
+
+  // ---------------------------------------------------------------------------
+  // 9b) Inline tile controls (pin a video as music / non-music)
+  // ---------------------------------------------------------------------------
+  const TILE_CONTROLS_CLASS = "mv-tile-controls";
+
+  function createTileButton(action, label, title) {
+    const button = document.createElement("button");
+    button.type = "button";
+    button.className = "mv-tile-button";
+    button.dataset.mvAction = action;
+    button.textContent = label;
+    button.title = title;
+    return button;
+  }
+
+  function onTileControlClick(event) {
+    const button = event.target.closest(".mv-tile-button");
+    if (!button) return;
+
+    // Tiles are links; do not navigate when a control is clicked.
+    event.preventDefault();
+    event.stopPropagation();
+
+    const tile = button.closest("[data-mv-video-id]");
+    const action = button.dataset.mvAction;
+
+    if (action === "explain") {
+      if (tile) toggleExplanation(tile);
+      return;
+    }
+
+    if (action === "allow-channel" || action === "block-channel") {
+      const channelRef = tile?.dataset.mvChannelRef;
+      if (!channelRef) return;
+      toggleChannelList(action === "allow-channel" ? "channelAllowList" : "channelBlockList", channelRef);
+      return;
+    }
+
+    const videoId = tile?.dataset.mvVideoId;
+    if (!videoId) return;
+
+    const pinned = getOverride(videoId);
+    const wantMusic = action === "pin-music";
+
+    // Clicking the active pin again removes it.
+    if (pinned && pinned.isMusic === wantMusic) {
+      setOverride(videoId, null);
+      return;
+    }
+
+    setOverride(videoId, wantMusic, extractForElement(tile));
+  }
+
+  function ensureTileControls(element, data) {
+    const videoId = data.videoId;
+    let controls = element.querySelector(`:scope > .${TILE_CONTROLS_CLASS}`);
+
+    if (!videoId) {
+      if (controls) controls.remove();
+      delete element.dataset.mvVideoId;
+      delete element.dataset.mvChannelRef;
+      return;
+    }
+
+    if (element.dataset.mvVideoId !== videoId) {
+      element.dataset.mvVideoId = videoId;
+    }
+
+    // Prefer the handle: it is readable in the options page.
+    const channelRef = data.channelHandle || data.channelId || "";
+    if ((element.dataset.mvChannelRef || "") !== channelRef) {
+      element.dataset.mvChannelRef = channelRef;
+    }
+
+    if (!controls) {
+      controls = document.createElement("div");
+      controls.className = TILE_CONTROLS_CLASS;
+      controls.appendChild(createTileButton("pin-music", "\u266A", "Always show this video (music)"));
+      controls.appendChild(createTileButton("pin-non-music", "\u2298", "Always hide this video (not music)"));
+      controls.appendChild(createTileButton("allow-channel", "\u2605", "Always show this channel"));
+      controls.appendChild(createTileButton("block-channel", "\u2716", "Never show this channel"));
+      const info = createTileButton("explain", "i", "Why is this shown or hidden?");
+      info.addEventListener("mouseenter", onExplainHover);
+      controls.appendChild(info);
+      controls.addEventListener("click", onTileControlClick, true);
+      element.classList.add("mv-has-controls");
+      element.appendChild(controls);
+    }
+
+    // Highlight the active pin. Only touch attributes that change so the
+    // MutationObserver does not keep rescheduling scans.
+    const pinned = getOverride(videoId);
+    const ref = normalizeChannelRef(channelRef);
+    controls.querySelectorAll(".mv-tile-button").forEach((button) => {
+      const action = button.dataset.mvAction;
+      let active = false;
+      if (action === "explain") return;
+      if (action === "pin-music" || action === "pin-non-music") {
+        active = Boolean(pinned) && pinned.isMusic === (action === "pin-music");
+      } else {
+        const list = action === "allow-channel" ? matchers.channelAllow : matchers.channelBlock;
+        active = Boolean(ref) && list.includes(ref);
+        if (button.hidden !== !ref) {
+          button.hidden = !ref;
         }
-      });
+      }
+      if (button.classList.contains("mv-active") !== active) {
+        button.classList.toggle("mv-active", active);
+      }
+    });
+  }
+
+  // ---------------------------------------------------------------------------
+  // 9c) Why a tile is shown or hidden (info button and placeholder tooltip)
+  // ---------------------------------------------------------------------------
+  const EXPLAIN_CLASS = "mv-tile-explain";
+
+  // Plain sentences for the tile's decision (describeDecision in
+  // src/classifier.js). Cached decisions carry no explanation, so the rules
+  // run again: the cache fingerprint means they still give the same verdict.
+  function explainTile(el) {
+    const decision = pageDecisions.get(el);
+    if (!decision) return ["Not checked yet."];
+
+    let result = decision.result;
+    if (!result && decision.cached && decision.data) {
+      const data = decision.data;
+      const again = classifyForShortsMode(
+        data,
+        getContextSettings(el.dataset.mvContext).profile,
+        data.isShort ? shortsMode() : ""
+      );
+      if (again.isMusic === decision.isMusic && again.reason === decision.reason) {
+        result = again;
+        decision.result = again;
+      }
+    }
+
+    const lines = CLASSIFIER.describeDecision(result || { isMusic: decision.isMusic, reason: decision.reason });
+    if (!result && lines.length === 1) {
+      lines.push(`Reason: ${describeReason(decision.reason, decision.isMusic)}.`);
     }
+    if (decision.cached) {
+      lines.push("Reused from the decision cache.");
+    }
+    return lines;
+  }
+
+  // Native tooltip, filled in when the pointer arrives so nothing is
+  // worked out for tiles nobody looks at.
+  function onExplainHover(event) {
+    const node = event.currentTarget;
+    const tile = node.closest("[data-mv-tile-id]");
+    if (!tile) return;
+
+    const text = explainTile(tile).join("\n");
+    if (node.title !== text) {
+      node.title = text;
+    }
+  }
+
+  // Clicking the info button opens the same text as a panel on the tile.
+  // It closes on a click or when the pointer leaves the tile.
+  function toggleExplanation(el) {
+    const open = el.querySelector(`:scope > .${EXPLAIN_CLASS}`);
+    if (open) {
+      open.remove();
+      return;
+    }
+
+    const box = document.createElement("div");
+    box.className = EXPLAIN_CLASS;
+    explainTile(el).forEach((line) => {
+      const row = document.createElement("p");
+      row.textContent = line;
+      box.appendChild(row);
+    });
+    box.addEventListener("click", (event) => {
+      event.preventDefault();
+      event.stopPropagation();
+      box.remove();
+    }, true);
+    el.addEventListener("mouseleave", () => box.remove(), { once: true });
+    el.appendChild(box);
   }
 
   // ---------------------------------------------------------------------------
-  // 10) Page context detection (only scan Home + Watch sidebar)
+  // 10) Page context detection (each context can be turned on/off in settings)
   // ---------------------------------------------------------------------------
   function isElementVisible(el) {
     if (!el) return false;
@@ -685,33 +1406,142 @@
     return document.body || null;
   }
 
+  function getSearchRoot() {
+    if (window.location.pathname !== "/results") return null;
+    const search = document.querySelector("ytd-search");
+    return isElementVisible(search) ? search : null;
+  }
+
+  function isChannelPath(pathname) {
+    return /^\/(@[^/]+|channel\/[^/]+|c\/[^/]+|user\/[^/]+)(\/|$)/.test(pathname);
+  }
+
+  function getChannelRoot() {
+    if (!isChannelPath(window.location.pathname)) return null;
+    const browse = document.querySelector("ytd-browse[page-subtype=\"channels\"]");
+    return isElementVisible(browse) ? browse : null;
+  }
+
+  function getSubscriptionsRoot() {
+    if (window.location.pathname !== "/feed/subscriptions") return null;
+    const browse = document.querySelector("ytd-browse[page-subtype=\"subscriptions\"]");
+    return isElementVisible(browse) ? browse : null;
+  }
+
+  function getShortsShelfRoot() {
+    // Shelves can show up on several pages; scan whichever page is active.
+    const pageManager = document.querySelector("ytd-page-manager");
+    if (!pageManager || !pageManager.querySelector(SHORTS_SHELF_CONTAINER)) return null;
+    return pageManager;
+  }
+
+  function getMusicSiteRoot() {
+    return document.querySelector("ytmusic-app") || document.body || null;
+  }
+
+  function getEndScreenRoot() {
+    if (window.location.pathname !== "/watch") return null;
+    return document.querySelector(".html5-video-player .ytp-endscreen-content, .html5-video-player .ytp-fullscreen-grid");
+  }
+
   function getCurrentWatchVideoId() {
     if (window.location.pathname !== "/watch") return null;
     const params = new URLSearchParams(window.location.search || "");
     return params.get("v");
   }
 
+  // Every surface we know how to filter. Each one is toggled by
+  // settings.scanContexts[id] and has its own root and selector set.
+  //  - fallbackLinks: also collect containers around stray watch links.
+  //  - alwaysReprocess: YouTube reuses these nodes, so never skip them.
+  //  - site: "music" for music.youtube.com, otherwise www.youtube.com.
+  const SCAN_CONTEXTS = [
+    {
+      id: "home",
+      getRoot: getHomeRoot,
+      selectors: HOME_SELECTORS
+    },
+    {
+      id: "watch-sidebar",
+      getRoot: getWatchSidebarRoot,
+      selectors: WATCH_SELECTORS,
+      fallbackLinks: true,
+      alwaysReprocess: true
+    },
+    {
+      id: "search",
+      getRoot: getSearchRoot,
+      selectors: SEARCH_SELECTORS
+    },
+    {
+      id: "channel",
+      getRoot: getChannelRoot,
+      selectors: CHANNEL_SELECTORS
+    },
+    {
+      id: "subscriptions",
+      getRoot: getSubscriptionsRoot,
+      selectors: SUBSCRIPTIONS_SELECTORS
+    },
+    {
+      id: "shorts",
+      getRoot: getShortsShelfRoot,
+      selectors: SHORTS_SHELF_SELECTORS
+    },
+    {
+      id: "end-screen",
+      getRoot: getEndScreenRoot,
+      selectors: END_SCREEN_SELECTORS,
+      alwaysReprocess: true
+    },
+    {
+      id: "music",
+      site: "music",
+      getRoot: getMusicSiteRoot,
+      selectors: MUSIC_SITE_SELECTORS,
+      // The queue reuses its rows as songs advance.
+      alwaysReprocess: true
+    }
+  ];
+
+  // Contexts present on the current page, whether or not they are enabled.
+  function getPageContexts() {
+    const site = window.location.hostname === MUSIC_SITE_HOST ? "music" : "main";
+    return SCAN_CONTEXTS
+      .filter((definition) => (definition.site || "main") === site && definition.getRoot())
+      .map((definition) => definition.id);
+  }
+
+  function shortsMode() {
+    return STORE.getChoice(settings, "shortsMode");
+  }
+
+  function isContextEnabled(contextId) {
+    if (contextId === "shorts") {
+      return shortsMode() !== "untouched";
+    }
+    const enabled = STORE.getGroup(settings, "scanContexts");
+    return Boolean(enabled[contextId]);
+  }
+
   function getScanTargets() {
     const targets = [];
+    const site = window.location.hostname === MUSIC_SITE_HOST ? "music" : "main";
 
-    const homeRoot = getHomeRoot();
-    if (homeRoot) {
-      targets.push({
-        context: "home",
-        root: homeRoot,
-        selector: HOME_SELECTORS.join(",")
-      });
-    }
+    SCAN_CONTEXTS.forEach((definition) => {
+      if ((definition.site || "main") !== site) return;
+      if (!isContextEnabled(definition.id)) return;
+
+      const root = definition.getRoot();
+      if (!root) return;
 
-    const watchRoot = getWatchSidebarRoot();
-    if (watchRoot) {
-      // Sidebar recommendations are in these containers.
       targets.push({
-        context: "watch-sidebar",
-        root: watchRoot,
-        selector: WATCH_SELECTORS.join(",")
+        context: definition.id,
+        root,
+        selector: definition.selectors.join(","),
+        definition
       });
-    }
+    });
 
     return targets;
   }
@@ -724,22 +1554,26 @@
 
   function scheduleScan() {
     if (scanTimer) return;
-    const delay = Number(settings.debounceMs) || DEFAULTS.debounceMs || 60;
+    const delay = STORE.getNumber(settings, "debounceMs") || 60;
     scanTimer = setTimeout(() => {
       scanTimer = null;
       scanNow();
     }, delay);
   }
 
-  function collectCandidates(root, selector, context) {
+  function collectCandidates(target) {
     const candidates = new Set();
-    if (!root) return candidates;
+    if (!target.root) return candidates;
 
-    root.querySelectorAll(selector).forEach((el) => candidates.add(el));
+    // In "hide-all" mode the shelves themselves are hidden, not their items.
+    const selector = target.context === "shorts" && shortsMode() === "hide-all"
+      ? SHORTS_SHELF_CONTAINER
+      : target.selector;
+    target.root.querySelectorAll(selector).forEach((el) => candidates.add(el));
 
     // Fallback: on watch pages, YouTube sometimes uses different renderers.
-    if (context === "watch-sidebar") {
-      root.querySelectorAll(FALLBACK_LINK_SELECTOR).forEach((link) => {
+    if (target.definition.fallbackLinks) {
+      target.root.querySelectorAll(FALLBACK_LINK_SELECTOR).forEach((link) => {
         const container = link.closest(VIDEO_CONTAINER_SELECTOR);
         if (container) {
           candidates.add(container);
@@ -747,10 +1581,19 @@
       });
     }
 
+    // Shorts shelves belong to the "shorts" context only.
+    if (target.context !== "shorts") {
+      candidates.forEach((el) => {
+        if (el.closest(SHORTS_SHELF_CONTAINER)) {
+          candidates.delete(el);
+        }
+      });
+    }
+
     return candidates;
   }
 
-  function processCandidate(element, context) {
+  function processCandidate(element, target) {
     if (!element || element.nodeType !== 1) return;
 
     // Avoid double-processing the same node within the same scan.
@@ -759,14 +1602,37 @@
     }
     element.dataset.mvEpoch = String(scanEpoch);
 
-    const data = extractVideoData(element);
+    if (element.dataset.mvContext !== target.context) {
+      element.dataset.mvContext = target.context;
+    }
 
-    // If we have no useful info yet, skip for now and try later.
-    if (!data.title && !data.videoId) {
+    // Whole Shorts shelf ("hide-all" mode).
+    if (element.matches(SHORTS_SHELF_CONTAINER)) {
+      hideElement(element, "shorts");
+      recordDecision(element, false, "shorts", false);
+      element.dataset.mvProcessed = "1";
+      return;
+    }
+
+    const data = extractForElement(element);
+    const { profile, fingerprint } = getContextSettings(target.context);
+    const mode = data.isShort ? shortsMode() : "";
+
+    // Shorts in "untouched" mode are left exactly as YouTube shows them.
+    element.dataset.mvShort = mode && mode !== "untouched" ? "1" : "";
+    if (mode === "untouched") {
+      pageDecisions.delete(element);
+      delete element.dataset.mvReason;
+      return;
+    }
+
+    // If we have no title yet (neither painted nor in the page metadata),
+    // skip for now and try later.
+    if (!data.title) {
       if (settings.debugMode) {
         debugState.skippedNoData += 1;
       }
-      debugLog("Skipping element (no title/id yet)", element);
+      debugLog("Skipping element (no title yet)", element);
       return;
     }
 
@@ -783,7 +1649,7 @@
       element.dataset.mvWatchId = currentWatchId;
     }
 
-    const allowSkip = context !== "watch-sidebar";
+    const allowSkip = !target.definition.alwaysReprocess;
     if (allowSkip && element.dataset.mvProcessed === "1" && previousKey === elementKey) {
       if (settings.debugMode) {
         debugState.skippedProcessed += 1;
@@ -798,18 +1664,47 @@
       element.dataset.mvWatchId = currentWatchId;
     }
 
-    // 1) Check cache first (fast, synchronous) if we have a cache key.
+    ensureTileControls(element, data);
+
+    // 0) Pinned videos skip the cache and the Shorts mode. The pin decides
+    //    in cascade mode and counts with its weight in score mode.
+    if (getOverride(data.videoId)) {
+      const result = classifyVideo(data, profile);
+      if (!result.isMusic) {
+        hideElement(element, result.reason);
+      } else {
+        unhideElement(element);
+      }
+      recordDecision(element, result.isMusic, result.reason, false, data, result);
+      element.dataset.mvProcessed = "1";
+      return;
+    }
+
+    // 0b) "hide-all" hides every Short, whatever the rules would say.
+    if (mode === "hide-all") {
+      hideElement(element, "shorts");
+      recordDecision(element, false, "shorts", false, data);
+      element.dataset.mvProcessed = "1";
+      return;
+    }
+
+    // 1) Reuse a known decision. A tile not seen before stays undecided
+    //    until the worker says whether its cache has one.
     if (data.cacheKey) {
-      const cached = cacheGet(data.cacheKey);
-      if (cached !== null) {
-        if (!cached) {
-          hideElement(element);
+      const cached = memoGet(data.cacheKey, fingerprint);
+      if (cached === undefined) {
+        requestLookup(data.cacheKey);
+        return;
+      }
+      if (cached) {
+        if (!cached.isMusic) {
+          hideElement(element, cached.reason);
         } else {
           unhideElement(element);
         }
+        recordDecision(element, cached.isMusic, cached.reason, true, data);
         if (settings.debugMode) {
           debugState.cacheHits += 1;
-          element.dataset.mvReason = "cache";
         }
         element.dataset.mvProcessed = "1";
         return;
@@ -817,24 +1712,38 @@
     }
 
     // 2) Classify locally.
-    const result = classifyVideo(data);
+    const result = classifyForShortsMode(data, profile, mode);
 
     // 3) Apply the result.
     if (!result.isMusic) {
-      hideElement(element);
+      hideElement(element, result.reason);
     } else {
       unhideElement(element);
     }
+    recordDecision(element, result.isMusic, result.reason, false, data, result);
 
-    // 4) Save to cache.
-    if (data.cacheKey) {
-      cacheSet(data.cacheKey, result.isMusic);
-    }
+    // 4) Remember it here and send it to the worker's cache.
+    rememberDecision(data.cacheKey, result, fingerprint);
 
     if (settings.debugMode) {
-      element.dataset.mvReason = result.reason;
+      if (data.hasPageMeta) {
+        debugState.metaHits += 1;
+      }
       element.dataset.mvTitle = (data.title || "").slice(0, 80);
       element.dataset.mvId = data.videoId || "";
+
+      // Run the other classifier too so both modes can be compared on the same feed.
+      const alternate = classifyWithOtherMode(data, profile);
+      element.dataset.mvAltVerdict = `${alternate.isMusic ? "music" : "non-music"}:${alternate.reason}`;
+      element.dataset.mvScore = CLASSIFIER.formatBreakdown(result.breakdown ? result : alternate);
+      if (alternate.isMusic !== result.isMusic) {
+        debugState.modeDisagreements += 1;
+        debugLog("Classifier modes disagree", {
+          title: data.title,
+          active: result,
+          alternate
+        });
+      }
     }
 
     debugState.scanned += 1;
@@ -862,6 +1771,8 @@
       debugState.skippedNoData = 0;
       debugState.skippedProcessed = 0;
       debugState.cacheHits = 0;
+      debugState.metaHits = 0;
+      debugState.modeDisagreements = 0;
     }
 
     scanEpoch += 1;
@@ -880,13 +1791,16 @@
 
     targets.forEach((target) => {
       if (!target.root) return;
-      const candidates = collectCandidates(target.root, target.selector, target.context);
+      const candidates = collectCandidates(target);
       if (settings.debugMode) {
         debugState.candidates += candidates.size;
       }
-      candidates.forEach((el) => processCandidate(el, target.context));
+      candidates.forEach((el) => processCandidate(el, target));
     });
 
+    updateHomeFeed(targets.find((target) => target.context === "home"));
+    reportPageStats();
+
     if (settings.debugMode) {
       updateDebugBadge();
       debugLog("Scan complete", {
@@ -897,71 +1811,338 @@
     }
   }
 
+  // ---------------------------------------------------------------------------
+  // 11b) Home feed backfill and "N hidden" counter
+  // ---------------------------------------------------------------------------
+  let backfillRounds = 0;
+  let backfillSentinel = null;
+
+  function isTileHidden(tile) {
+    return tile.classList.contains("mv-blocked") || Boolean(tile.querySelector(".mv-blocked"));
+  }
+
+  function countHomeTiles(root) {
+    let visible = 0;
+    let hidden = 0;
+    root.querySelectorAll(HOME_TILE_SELECTOR).forEach((tile) => {
+      // Shorts shelf items and nested grid tiles are not feed slots.
+      if (tile.closest(SHORTS_SHELF_CONTAINER)) return;
+      if (tile.parentElement && tile.parentElement.closest(HOME_TILE_SELECTOR)) return;
+      if (isTileHidden(tile)) {
+        hidden += 1;
+      } else {
+        visible += 1;
+      }
+    });
+    return { visible, hidden };
+  }
+
+  // YouTube loads the next batch when its continuation sentinel scrolls into
+  // view. We pin the sentinel to the bottom of the viewport (invisible) for a
+  // moment so YouTube sees it without the page scrolling.
+  function requestHomeContinuation(root) {
+    if (backfillSentinel || backfillRounds >= MAX_BACKFILL_ROUNDS) return;
+
+    const sentinel = root.querySelector("ytd-continuation-item-renderer");
+    if (!sentinel) return;
+
+    backfillRounds += 1;
+    backfillSentinel = sentinel;
+    sentinel.classList.add("mv-backfill-sentinel");
+    window.dispatchEvent(new Event("scroll"));
+    debugLog("Home backfill requested", { round: backfillRounds });
+
+    setTimeout(() => {
+      sentinel.classList.remove("mv-backfill-sentinel");
+      backfillSentinel = null;
+    }, BACKFILL_RELEASE_MS);
+  }
+
+  function updateHiddenCounter(root, hidden) {
+    let counter = document.getElementById(HIDDEN_COUNTER_ID);
+    if (!root || !settings.showHiddenCounter || hidden === 0) {
+      if (counter) counter.remove();
+      return;
+    }
+
+    if (!counter) {
+      counter = document.createElement("div");
+      counter.id = HIDDEN_COUNTER_ID;
+      counter.className = "mv-hidden-counter";
+    }
+
+    // Sit above the grid's tiles; fall back to the top of the feed.
+    const grid = root.matches("ytd-rich-grid-renderer") ? root : root.querySelector("ytd-rich-grid-renderer");
+    const contents = grid ? grid.querySelector(":scope > #contents") : null;
+    const parent = contents ? contents.parentElement : root;
+    const before = contents || root.firstChild;
+    if (counter.parentElement !== parent || counter.nextSibling !== before) {
+      parent.insertBefore(counter, before);
+    }
+
+    const text = `${hidden} hidden`;
+    if (counter.textContent !== text) {
+      counter.textContent = text;
+    }
+  }
+
+  function updateHomeFeed(target) {
+    if (!target || !target.root) {
+      updateHiddenCounter(null, 0);
+      return;
+    }
+
+    const { visible, hidden } = countHomeTiles(target.root);
+    updateHiddenCounter(target.root, hidden);
+
+    const goal = STORE.getNumber(settings, "homeBackfillTarget") || 0;
+    if (goal > 0 && hidden > 0 && visible < goal) {
+      requestHomeContinuation(target.root);
+    }
+  }
+
   function rescanAll() {
     // Remove processed marks so we re-evaluate (only in allowed contexts).
+    const inScope = new Set();
     const targets = getScanTargets();
     targets.forEach((target) => {
       if (!target.root) return;
-      const candidates = collectCandidates(target.root, target.selector, target.context);
+      const candidates = collectCandidates(target);
       candidates.forEach((el) => {
+        inScope.add(el);
         el.dataset.mvProcessed = "";
         el.dataset.mvKey = "";
         unhideElement(el);
       });
     });
+
+    // Items from a context that was just turned off go back to normal.
+    document.querySelectorAll("[data-mv-processed]").forEach((el) => {
+      if (inScope.has(el)) return;
+      pageDecisions.delete(el);
+      delete el.dataset.mvReason;
+      el.dataset.mvProcessed = "";
+      el.dataset.mvKey = "";
+      el.dataset.mvShort = "";
+      unhideElement(el);
+      el.querySelectorAll(`:scope > .${TILE_CONTROLS_CLASS}, :scope > .${EXPLAIN_CLASS}`)
+        .forEach((node) => node.remove());
+      el.classList.remove("mv-has-controls");
+    });
+
     scanNow();
   }
 
+  // ---------------------------------------------------------------------------
+  // 11c) Per-tab counts (popup and toolbar badge)
+  // ---------------------------------------------------------------------------
+  // `result` is the classifier result when the rules ran just now; it holds
+  // the explanation shown by the tile's info button (see 9c).
+  function recordDecision(element, isMusic, reason, cached, data, result) {
+    if (!element.dataset.mvTileId) {
+      nextTileId += 1;
+      element.dataset.mvTileId = String(nextTileId);
+    }
+    // Kept on every tile (not only in debug mode) so the reason can be
+    // inspected or styled.
+    if (element.dataset.mvReason !== (reason || "")) {
+      element.dataset.mvReason = reason || "";
+    }
+
+    pageDecisions.set(element, {
+      isMusic,
+      reason: reason || "",
+      cached,
+      data: data || null,
+      result: result || null,
+      videoId: data?.videoId || "",
+      title: data?.title || "",
+      channel: data?.channel || "",
+      durationText: data?.durationText || "",
+      durationSeconds: data?.durationSeconds ?? null
+    });
+  }
+
+  // Counts for the tiles currently on the page:
+  // { blocked, allowed, byDefault, cached,
+  //   reasons: [{ reason, isMusic, label, count }] (most common first) }
+  function getPageStats() {
+    const stats = { blocked: 0, allowed: 0, byDefault: 0, cached: 0, reasons: [] };
+    const byReason = new Map();
+
+    pageDecisions.forEach((decision, element) => {
+      if (!element.isConnected) {
+        pageDecisions.delete(element);
+        return;
+      }
+
+      if (decision.isMusic) {
+        stats.allowed += 1;
+      } else {
+        stats.blocked += 1;
+      }
+      if (decision.reason === "default" || decision.reason === "shorts-default") {
+        stats.byDefault += 1;
+      }
+      if (decision.cached) {
+        stats.cached += 1;
+      }
+
+      const key = `${decision.isMusic ? "music" : "non-music"}:${decision.reason}`;
+      if (!byReason.has(key)) {
+        byReason.set(key, {
+          reason: decision.reason,
+          isMusic: decision.isMusic,
+          label: describeReason(decision.reason, decision.isMusic),
+          count: 0
+        });
+      }
+      byReason.get(key).count += 1;
+    });
+
+    stats.reasons = [...byReason.values()].sort((a, b) => b.count - a.count);
+    return stats;
+  }
+
+  // The blocked tiles on the page, in page order:
+  // [{ tileId, videoId, title, channel, duration, reason, label, unhidden }]
+  function listBlockedTiles() {
+    const tiles = [];
+    pageDecisions.forEach((decision, element) => {
+      if (decision.isMusic || !element.isConnected) return;
+      tiles.push({
+        element,
+        tileId: element.dataset.mvTileId,
+        videoId: decision.videoId,
+        title: decision.title || (element.matches(SHORTS_SHELF_CONTAINER) ? "Shorts shelf" : ""),
+        channel: decision.channel,
+        duration: decision.durationText || formatDuration(decision.durationSeconds),
+        reason: decision.reason,
+        label: describeReason(decision.reason),
+        unhidden: isUnhidden(element)
+      });
+    });
+
+    tiles.sort((a, b) =>
+      a.element.compareDocumentPosition(b.element) & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1
+    );
+    return tiles.map(({ element, ...tile }) => tile);
+  }
+
+  // Unhide (or hide again) one blocked tile, and optionally scroll to it.
+  function revealTile(tileId, reveal, scroll) {
+    const el = document.querySelector(`[data-mv-tile-id="${CSS.escape(String(tileId))}"]`);
+    if (!el) return false;
+
+    if (reveal) {
+      el.dataset.mvUnhidden = el.dataset.mvKey || "";
+    } else {
+      delete el.dataset.mvUnhidden;
+    }
+    if (el.classList.contains("mv-blocked")) {
+      hideElement(el);
+    }
+
+    if (scroll) {
+      el.scrollIntoView({ behavior: "smooth", block: "center" });
+      el.classList.add("mv-located");
+      setTimeout(() => el.classList.remove("mv-located"), LOCATE_HIGHLIGHT_MS);
+    }
+    return true;
+  }
+
+  // Sent after every scan that changed the counts. The background worker
+  // updates the badge; an open popup refreshes its numbers.
+  function reportPageStats() {
+    const stats = getPageStats();
+    const report = JSON.stringify(stats);
+    if (report === lastStatsReport) return;
+    lastStatsReport = report;
+
+    MESSAGES.send({ type: MESSAGES.TYPES.REPORT_TAB_STATS, stats });
+  }
+
   // ---------------------------------------------------------------------------
   // 12) Listen for changes from the popup/options
   // ---------------------------------------------------------------------------
+  // Tab actions arrive from the background worker (src/messages.js).
   if (API?.runtime?.onMessage) {
-    API.runtime.onMessage.addListener((message) => {
+    API.runtime.onMessage.addListener((message, sender, sendResponse) => {
       if (!message || typeof message !== "object") return;
 
-      if (message.type === "MV_TOGGLE_SHOW_BLOCKED") {
+      if (message.type === MESSAGES.TYPES.TOGGLE_SHOW_BLOCKED) {
         applyShowBlocked(Boolean(message.show));
+        sendResponse({ ok: true });
       }
 
-      if (message.type === "MV_REFRESH") {
+      if (message.type === MESSAGES.TYPES.REFRESH) {
         rescanAll();
+        sendResponse({ ok: true });
       }
-    });
-  }
 
-  if (API?.storage?.onChanged) {
-    API.storage.onChanged.addListener((changes, area) => {
-      if (area !== "local") return;
+      // Another tab or the popup emptied the shared cache.
+      if (message.type === MESSAGES.TYPES.CLEAR_CACHE) {
+        clearMemo();
+        rescanAll();
+        sendResponse({ ok: true });
+      }
 
-      if (changes[SETTINGS_KEY]) {
-        const newValue = changes[SETTINGS_KEY].newValue;
-        if (newValue && typeof newValue === "object") {
-          settings = { ...DEFAULTS, ...newValue };
-          matchers = buildMatchers(settings);
-          applyShowBlocked(settings.showBlocked);
-          updateDebugBadge();
-          rescanAll();
-        }
+      // The popup asks which page contexts are on screen so it can show
+      // the matching profile, and whether blocked tiles are shown here.
+      if (message.type === MESSAGES.TYPES.GET_CONTEXT) {
+        sendResponse({ contexts: getPageContexts(), showBlocked: Boolean(settings.showBlocked) });
       }
 
-      // A simple \"rescan now\" signal set by the popup/options page.
-      if (changes[RESCAN_KEY]) {
-        rescanAll();
+      if (message.type === MESSAGES.TYPES.GET_PAGE_STATS) {
+        sendResponse(getPageStats());
+      }
+
+      // The popup's list of blocked tiles.
+      if (message.type === MESSAGES.TYPES.GET_BLOCKED_TILES) {
+        sendResponse({ tiles: listBlockedTiles() });
+      }
+
+      if (message.type === MESSAGES.TYPES.REVEAL_TILE) {
+        sendResponse({ ok: revealTile(message.tileId, message.reveal !== false, Boolean(message.scroll)) });
       }
     });
   }
 
+  STORE.subscribe({
+    [SETTINGS_KEY]: (newSettings) => {
+      settings = newSettings;
+      refreshDerivedSettings();
+      applyShowBlocked(settings.showBlocked);
+      updateDebugBadge();
+      rescanAll();
+    },
+
+    // Filter lists were added, updated, switched or removed.
+    [FILTER_LISTS_KEY]: (newValue) => {
+      filterLists = Array.isArray(newValue) ? newValue : [];
+      refreshDerivedSettings();
+      rescanAll();
+    },
+
+    // Pins changed (from a tile or the options page).
+    [OVERRIDES_KEY]: (newValue) => {
+      overrides = newValue || {};
+      rescanAll();
+    }
+  });
+
   // ---------------------------------------------------------------------------
   // 13) Initialization
   // ---------------------------------------------------------------------------
   async function init() {
-    // Load settings
-    const data = await storageGet({ [SETTINGS_KEY]: DEFAULTS });
-    settings = { ...DEFAULTS, ...(data[SETTINGS_KEY] || {}) };
-    matchers = buildMatchers(settings);
+    // Load settings (the background worker upgrades old stored copies;
+    // load() reads them correctly either way).
+    settings = await STORE.load();
+    await loadFilterLists();
+    refreshDerivedSettings();
 
-    // Load cache (async, but does not block initial scan).
-    loadCache();
+    // Pins must be known before the first scan so they are never overridden.
+    await loadOverrides();
 
     // Apply show-blocked state immediately.
     applyShowBlocked(Boolean(settings.showBlocked));
@@ -994,7 +2175,11 @@
     });
 
     // YouTube is a single-page app. These events fire on in-app navigation.
-    document.addEventListener("yt-navigate-finish", () => scheduleScan(), true);
+    document.addEventListener("yt-navigate-finish", () => {
+      // A new page gets its own backfill budget.
+      backfillRounds = 0;
+      scheduleScan();
+    }, true);
     document.addEventListener("yt-page-data-updated", () => scheduleScan(), true);
     document.addEventListener("yt-navigate-start", () => scheduleScan(), true);
     document.addEventListener("yt-page-data-fetched", () => scheduleScan(), true);
@@ -20,18 +20,7 @@ const MV_DEFAULT_SETTINGS = {
     "lyricvideo",
     "audio (official)",
     "music",
-    "official music video",
-    "official video",
-    "music video",
-    "official mv",
-    "mv",
-    "official audio",
-    "audio (official)",
     "official audio",
-    "lyric video",
-    "lyrics",
-    "lyric video",
-    "lyricvideo",
     "audio",
     "visualizer",
     "official visualizer",
@@ -53,7 +42,6 @@ const MV_DEFAULT_SETTINGS = {
     "studio version",
     "master (remaster)",
     "remastered (official)",
-    "VEVO",
     "HQ audio",
     "HD audio",
     "radio edit",
@@ -77,7 +65,6 @@ const MV_DEFAULT_SETTINGS = {
     "cover",
     "studio version",
     "radio edit",
-    "cover",
     "acoustic",
     "unplugged",
     "session",
@@ -103,11 +90,9 @@ const MV_DEFAULT_SETTINGS = {
     "arranged",
     "medley",
     "mashup",
-    "remix",
     "club mix",
     "extended mix",
     "radio mix",
-    "radio edit",
     "edit (when paired with music tokens)",
     "rework",
     "reimagined",
@@ -173,20 +158,15 @@ const MV_DEFAULT_SETTINGS = {
     "behind the scenes",
     "trailer",
     "skit",
-    "interview",
     "interviews",
     "q&a",
     "q and a",
-    "podcast",
     "podcast episode",
     "podcast clip",
-    "reaction",
     "reaction video",
-    "review",
     "review of",
     "unboxing",
     "haul",
-    "tutorial",
     "how to",
     "how-to",
     "walkthrough",
@@ -201,7 +181,6 @@ const MV_DEFAULT_SETTINGS = {
     "product review",
     "first impressions",
     "impressions",
-    "commentary",
     "commentator",
     "analysis",
     "analysis of",
@@ -209,7 +188,6 @@ const MV_DEFAULT_SETTINGS = {
     "explainer",
     "explain",
     "explanation",
-    "news",
     "news report",
     "report",
     "press conference",
@@ -220,21 +198,16 @@ const MV_DEFAULT_SETTINGS = {
     "biopic clip",
     "clip",
     "scene",
-    "trailer",
     "movie trailer",
     "film clip",
     "highlights",
     "sports highlights",
     "game highlights",
-    "gameplay",
-    "let's play",
     "lets play",
     "speedrun",
     "speed run",
-    "walkthrough",
     "challenge",
     "prank",
-    "skit",
     "sketch",
     "comedy sketch",
     "standup",
@@ -242,7 +215,6 @@ const MV_DEFAULT_SETTINGS = {
     "roast",
     "roast video",
     "prank compilation",
-    "vlog",
     "vloggers",
     "daily vlog",
     "daily update",
@@ -255,7 +227,6 @@ const MV_DEFAULT_SETTINGS = {
     "debate",
     "talk show",
     "sermon",
-    "lecture",
     "class",
     "tutorial series",
     "study with me",
@@ -316,23 +287,15 @@ const MV_DEFAULT_SETTINGS = {
     "choir",
     "dj",
     "label",
-    "vevo",
-    "official",
     "official channel",
-    "records",
     "recordings",
-    "music",
     "music channel",
     "musicvideos",
     "music videos",
     "musicvideo",
-    "band",
     "band official",
     "band channel",
-    "orchestra",
-    "symphony",
     "philharmonic",
-    "choir",
     "choral",
     "quartet",
     "trio",
@@ -346,10 +309,8 @@ const MV_DEFAULT_SETTINGS = {
     "singer",
     "vocalist",
     "vocalist official",
-    "dj",
     "djs",
     "dj set",
-    "label",
     "records (label suffix, e.g., \"xyz records\")",
     "productions",
     "studios",
@@ -374,7 +335,6 @@ const MV_DEFAULT_SETTINGS = {
     "pianoguys",
     "thepianoguys",
     "2cellos",
-    "2CELLOS",
     "taylor davis",
     "andre rieu",
     "andr\u00e9 rieu",
@@ -400,14 +360,129 @@ const MV_DEFAULT_SETTINGS = {
     "music conservatory"
   ],
 
+  // Channels that are always music / never shown, checked before any keyword.
+  // Each entry is a channel handle ("@name") or a channel ID ("UC...").
+  channelAllowList: [],
+  channelBlockList: [],
+
+  // Language keyword packs (see MV_KEYWORD_PACKS below) merged into the lists above.
+  // All off by default: several packs share words with English ("lied",
+  // "critique", "letra"), so turning them on would change existing verdicts.
+  keywordPacks: [],
+
+  // Which YouTube surfaces are filtered (see MV_SCAN_CONTEXTS below).
+  // By default only the Home feed and the Watch page sidebar are touched.
+  scanContexts: {
+    home: true,
+    "watch-sidebar": true,
+    search: false,
+    channel: false,
+    subscriptions: false,
+    "end-screen": false,
+    music: true
+  },
+
+  // Home feed: when fewer than this many tiles are still visible, ask YouTube
+  // to load the next batch (0 = off). A few rounds at most per page visit.
+  homeBackfillTarget: 24,
+
+  // Show a small "N hidden" line at the top of the home feed.
+  showHiddenCounter: true,
+
+  // What to do with YouTube Shorts (shelves and Shorts tiles anywhere).
+  // "untouched" = leave them alone, "music-only" = keep only Shorts the
+  // rules call music (unsure ones are hidden), "hide-all" = hide every Short
+  // and every Shorts shelf. Shorts shelves are scanned unless "untouched".
+  // Shorts are left alone until the user picks a mode.
+  shortsMode: "untouched",
+
   // Default policy when we are NOT confident.
   // "show" = assume it is music (do NOT hide).
   // "hide" = assume it is non-music (hide).
   defaultPolicy: "show",
 
+  // Keyword lists that take part in classification. A context profile can
+  // switch single lists off (e.g. ignore moderate keywords on the home feed).
+  enabledLists: {
+    strong: true,
+    moderate: true,
+    non: true,
+    channel: true
+  },
+
+  // Duration bands (seconds) used by the moderate-keyword and channel rules.
+  // A music-length video is between musicMinSeconds and musicMaxSeconds;
+  // anything shorter than extremeShortSeconds or longer than
+  // extremeLongSeconds contradicts a moderate keyword.
+  musicMinSeconds: 90,
+  musicMaxSeconds: 600,
+  extremeShortSeconds: 30,
+  extremeLongSeconds: 30 * 60,
+
+  // Standalone duration rules (0 = off). They hide an item unless a strong
+  // keyword or the channel allowlist says it is music.
+  hideLongerThanMinutes: 0,
+  hideShorterThanSeconds: 0,
+
+  // Live streams have no duration. "classify" = use the keyword rules,
+  // "show" = always show them, "hide" = always hide them.
+  liveWithoutDurationPolicy: "classify",
+
+  // Per page context overrides, keyed by context id (see MV_SCAN_CONTEXTS).
+  // Each profile may set any key from MV_PROFILE_KEYS; missing keys use the
+  // global value above. Example: { home: { defaultPolicy: "hide" } }
+  contextProfiles: {},
+
+  // How the signals are combined.
+  // "cascade" = the first matching rule decides (strong, non-music, moderate, channel).
+  // "score" = every matching signal adds its weight and the total is compared
+  //           to scoreThreshold (at or above = music).
+  classifierMode: "cascade",
+
+  // Verdicts for tiles recognized by their structure rather than their title:
+  // "- Topic" auto-generated channels, Official Artist Channel badges,
+  // YouTube Mix/radio tiles and playlist tiles.
+  // "music" = always show, "non-music" = always hide, "classify" = ignore
+  // the signal and use the keyword rules. In score mode the signal adds its
+  // weight toward the chosen verdict instead.
+  structuralVerdicts: {
+    topicChannel: "music",
+    artistBadge: "music",
+    mix: "music",
+    playlist: "classify"
+  },
+
+  // Weights used by the "score" mode. Negative weights push toward non-music.
+  // A pinned video adds its weight toward the pinned verdict; the default
+  // outweighs every other signal, so pins win unless it is lowered.
+  scoreWeights: {
+    override: 1000,
+    channelAllow: 100,
+    channelBlock: -100,
+    musicItem: 4,
+    podcastItem: -5,
+    strong: 4,
+    moderate: 2,
+    non: -5,
+    channelToken: 1,
+    durationInRange: 1,
+    durationExtreme: -2,
+    topicChannel: 4,
+    artistBadge: 3,
+    mix: 4,
+    playlist: 2
+  },
+
+  scoreThreshold: 2,
+
   // Whether blocked items should be shown (for undo / review).
   showBlocked: false,
 
+  // How blocked items look when they are not shown for review.
+  // "hide" = removed from the page, "placeholder" = replaced by a small box
+  // that keeps the grid aligned, names the reason and expands on click.
+  blockedDisplay: "hide",
+
   // Debounce time for DOM scanning to reduce thrashing.
   debounceMs: 60,
 
@@ -415,5 +490,259 @@ const MV_DEFAULT_SETTINGS = {
   debugMode: false
 };
 
+// The page contexts the content script can filter, with labels for the popup.
+const MV_SCAN_CONTEXTS = [
+  { id: "home", label: "Home feed" },
+  { id: "watch-sidebar", label: "Watch page sidebar" },
+  { id: "search", label: "Search results" },
+  { id: "channel", label: "Channel pages" },
+  { id: "subscriptions", label: "Subscriptions feed" },
+  // Shorts are switched by shortsMode rather than scanContexts.
+  { id: "shorts", label: "Shorts", setting: "shortsMode" },
+  { id: "end-screen", label: "End-of-video suggestions" },
+  { id: "music", label: "YouTube Music (music.youtube.com)" }
+];
+
+// Settings a page context profile (contextProfiles) is allowed to override.
+const MV_PROFILE_KEYS = [
+  "defaultPolicy",
+  "showBlocked",
+  "blockedDisplay",
+  "enabledLists",
+  "musicMinSeconds",
+  "musicMaxSeconds",
+  "extremeShortSeconds",
+  "extremeLongSeconds",
+  "hideLongerThanMinutes",
+  "hideShorterThanSeconds",
+  "liveWithoutDurationPolicy"
+];
+
+// The lists a subscribed filter list (mvFilterLists) can add entries to.
+// Filter list files look like:
+//   { "format": "mv-filter-list", "name": "...", "version": "...",
+//     "lists": { "strongMusicKeywords": [...], "channelBlockList": [...] } }
+const MV_FILTER_LIST_KEYS = [
+  "strongMusicKeywords",
+  "moderateMusicKeywords",
+  "nonMusicKeywords",
+  "channelMusicTokens",
+  "channelAllowList",
+  "channelBlockList"
+];
+
+// Default keyword packs for titles that are not in English.
+// Each pack adds entries to the matching lists when it is enabled in
+// `keywordPacks`. Matching is Unicode-aware: accents are ignored and
+// Chinese/Japanese/Korean text is compared character by character,
+// so "公式" also matches inside a longer title.
+const MV_KEYWORD_PACKS = {
+  ja: {
+    label: "Japanese",
+    strongMusicKeywords: [
+      "ミュージックビデオ",
+      "リリックビデオ",
+      "歌詞",
+      "公式音源",
+      "主題歌",
+      "挿入歌",
+      "サウンドトラック"
+    ],
+    moderateMusicKeywords: [
+      "歌ってみた",
+      "弾いてみた",
+      "演奏してみた",
+      "ライブ",
+      "カバー",
+      "メドレー",
+      "作業用bgm"
+    ],
+    nonMusicKeywords: [
+      "実況",
+      "解説",
+      "レビュー",
+      "ニュース",
+      "切り抜き",
+      "雑談",
+      "検証",
+      "ドッキリ",
+      "料理"
+    ],
+    channelMusicTokens: [
+      "公式",
+      "オフィシャル",
+      "レコード"
+    ]
+  },
+  ko: {
+    label: "Korean",
+    strongMusicKeywords: [
+      "뮤직비디오",
+      "음원",
+      "가사",
+      "리릭 비디오"
+    ],
+    moderateMusicKeywords: [
+      "라이브",
+      "커버",
+      "무대",
+      "직캠",
+      "어쿠스틱",
+      "노래"
+    ],
+    nonMusicKeywords: [
+      "리뷰",
+      "뉴스",
+      "브이로그",
+      "먹방",
+      "예능",
+      "인터뷰",
+      "리액션",
+      "강의",
+      "게임"
+    ],
+    channelMusicTokens: [
+      "공식",
+      "뮤직",
+      "엔터테인먼트"
+    ]
+  },
+  zh: {
+    label: "Chinese",
+    strongMusicKeywords: [
+      "音乐录影带",
+      "音樂錄影帶",
+      "歌词",
+      "歌詞",
+      "主题曲",
+      "主題曲",
+      "原声带",
+      "原聲帶",
+      "纯音乐",
+      "純音樂"
+    ],
+    moderateMusicKeywords: [
+      "翻唱",
+      "现场",
+      "現場",
+      "演唱会",
+      "演唱會",
+      "伴奏",
+      "歌曲"
+    ],
+    nonMusicKeywords: [
+      "评测",
+      "評測",
+      "新闻",
+      "新聞",
+      "游戏",
+      "遊戲",
+      "教程",
+      "直播",
+      "访谈",
+      "訪談",
+      "美食"
+    ],
+    channelMusicTokens: [
+      "官方",
+      "音乐",
+      "音樂",
+      "唱片"
+    ]
+  },
+  ru: {
+    label: "Russian",
+    strongMusicKeywords: [
+      "клип",
+      "официальный клип",
+      "премьера клипа",
+      "текст песни",
+      "официальное видео",
+      "саундтрек"
+    ],
+    moderateMusicKeywords: [
+      "кавер",
+      "песня",
+      "концерт",
+      "ремикс",
+      "альбом",
+      "живое выступление"
+    ],
+    nonMusicKeywords: [
+      "обзор",
+      "новости",
+      "интервью",
+      "прохождение",
+      "реакция",
+      "подкаст",
+      "влог",
+      "урок",
+      "рецепт",
+      "стрим"
+    ],
+    channelMusicTokens: [
+      "музыка",
+      "оркестр"
+    ]
+  },
+  es: {
+    label: "Spanish",
+    strongMusicKeywords: ["video oficial", "videoclip", "video musical", "letra", "audio oficial", "banda sonora"],
+    moderateMusicKeywords: ["en vivo", "en directo", "acústico", "canción", "concierto"],
+    nonMusicKeywords: ["reseña", "noticias", "entrevista", "reacción", "receta", "análisis"],
+    channelMusicTokens: ["música", "oficial", "discos"]
+  },
+  pt: {
+    label: "Portuguese",
+    strongMusicKeywords: ["clipe oficial", "videoclipe", "vídeo oficial", "áudio oficial", "trilha sonora"],
+    moderateMusicKeywords: ["ao vivo", "acústico", "música"],
+    nonMusicKeywords: ["notícias", "reação", "análise", "receita", "jogando"],
+    channelMusicTokens: ["música", "oficial", "gravadora"]
+  },
+  de: {
+    label: "German",
+    strongMusicKeywords: ["offizielles musikvideo", "offizielles video", "songtext", "liedtext", "filmmusik"],
+    moderateMusicKeywords: ["akustik", "konzert", "lied"],
+    nonMusicKeywords: ["nachrichten", "rezension", "anleitung", "reaktion", "rezept", "erklärt", "doku"],
+    channelMusicTokens: ["musik", "offiziell"]
+  },
+  fr: {
+    label: "French",
+    strongMusicKeywords: ["clip officiel", "vidéo officielle", "paroles", "audio officiel", "bande originale"],
+    moderateMusicKeywords: ["en concert", "acoustique", "chanson", "reprise"],
+    nonMusicKeywords: ["actualités", "critique", "tutoriel", "réaction", "recette", "documentaire"],
+    channelMusicTokens: ["musique", "officiel"]
+  },
+  ar: {
+    label: "Arabic",
+    strongMusicKeywords: [
+      "فيديو كليب",
+      "كليب",
+      "أغنية",
+      "كلمات"
+    ],
+    moderateMusicKeywords: [
+      "حفلة",
+      "لايف"
+    ],
+    nonMusicKeywords: [
+      "مراجعة",
+      "أخبار",
+      "مقابلة",
+      "بث مباشر",
+      "شرح",
+      "تحدي"
+    ],
+    channelMusicTokens: [
+      "موسيقى",
+      "الرسمية"
+    ]
+  }
+};
+
 // Expose on globalThis for other scripts.
 globalThis.MV_DEFAULT_SETTINGS = MV_DEFAULT_SETTINGS;
+globalThis.MV_KEYWORD_PACKS = MV_KEYWORD_PACKS;
+globalThis.MV_SCAN_CONTEXTS = MV_SCAN_CONTEXTS;
+globalThis.MV_PROFILE_KEYS = MV_PROFILE_KEYS;
+globalThis.MV_FILTER_LIST_KEYS = MV_FILTER_LIST_KEYS;
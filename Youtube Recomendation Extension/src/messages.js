@@ -0,0 +1,145 @@
+/*
+  messages.js
+  The message protocol between the background worker (src/background.js),
+  the content script, the popup and the options page, plus small helpers
+  to send messages. Every message is a plain object with a `type`.
+
+  Requests the background worker answers (runtime.sendMessage):
+
+    MV_GET_STATS            { tabId? }
+                            -> { cache: { entries, music, nonMusic }, pinned, filterLists,
+                                 tabId, tab }
+                               `tab` holds the counts for the tiles on that tab
+                               (default: the active tab), or null; see
+                               MV_GET_PAGE_STATS below.
+    MV_CLASSIFY             { item: { title, channel, durationText | durationSeconds,
+                                      channelHandle?, channelId?, videoId?, isLive? },
+                              context? }
+                            -> { isMusic, reason, explanation, score?, threshold?,
+                                 breakdown? }
+                               Same rules as the page; `context` picks a page
+                               profile ("home", "watch", ...). `explanation`
+                               is described in src/classifier.js.
+    MV_SET_OVERRIDE         { videoId, isMusic: true | false | null, title?, channel? }
+                            -> { ok: true }   null removes the pin.
+    MV_RESCAN_TAB           { tabId? }
+                            -> { ok }         Rescans one tab (default: the active tab).
+    MV_TOGGLE_SHOW_BLOCKED  { tabId?, show }
+                            -> { ok }         Shows/hides blocked tiles in one tab
+                                              until its settings change or it reloads.
+    MV_GET_TAB_CONTEXT      { tabId? }
+                            -> { contexts, showBlocked } or null when the tab
+                               is not a YouTube page.
+    MV_GET_BLOCKED_TILES    { tabId? }
+                            -> { tiles: [{ tileId, videoId, title, channel, duration,
+                                           reason, label, unhidden }] } or null
+    MV_REVEAL_TILE          { tabId?, tileId, reveal?, scroll? }
+                            -> { ok }         Unhides one blocked tile (reveal: false
+                                              hides it again) and, with scroll,
+                                              scrolls to it and highlights it.
+    MV_CLEAR_CACHE          {}
+                            -> { ok: true }   Empties the stored cache and tells
+                                              every YouTube tab to drop its copy.
+    MV_GET_DECISIONS        { keys: [cacheKey] }
+                            -> { entries: { [cacheKey]: { isMusic, reason, fp } } }
+                               Cached decisions for the keys; unknown keys are
+                               left out. Content scripts ask before classifying
+                               a tile they have not seen.
+    MV_STORE_DECISIONS      { entries: { [cacheKey]: { isMusic, reason, fp, ts } } }
+                            -> { ok: true }   Sent by content scripts; the worker
+                                              is the only writer of the cache.
+    MV_SYNC_LOCAL_WRITE     { keys: [storage key] }
+                            -> { ok: true }   Sent by src/settings.js after a page
+                                              wrote settings or pins, so the
+                                              worker can note them for sync.
+    MV_GET_SYNC_STATUS      {}
+                            -> { available, enabled, lastSync, error }
+    MV_SET_SYNC_ENABLED     { enabled }
+                            -> { available, enabled, lastSync, error }
+                               Switches sync on or off for this browser and
+                               syncs once when switched on.
+    MV_REPORT_TAB_STATS     { stats }         Sent by content scripts after a scan
+                                              changed their counts. The worker sets
+                                              the toolbar badge; an open popup also
+                                              hears it and refreshes.
+
+  Messages content scripts answer (tabs.sendMessage, sent by the worker):
+
+    MV_REFRESH              {}                Rescan the page.
+    MV_TOGGLE_SHOW_BLOCKED  { show }
+    MV_GET_CONTEXT          {}  -> { contexts, showBlocked }
+    MV_CLEAR_CACHE          {}                Drop the in-memory cache and rescan.
+    MV_GET_PAGE_STATS       {}  -> { blocked, allowed, byDefault, cached,
+                                     reasons: [{ reason, isMusic, label, count }] }
+    MV_GET_BLOCKED_TILES    {}  -> { tiles }
+    MV_REVEAL_TILE          { tileId, reveal?, scroll? }  -> { ok }
+
+  A failed request resolves to { error: "..." }. No receiver resolves to null.
+*/
+
+(() => {
+  "use strict";
+
+  const API = typeof browser !== "undefined" ? browser : chrome;
+
+  const TYPES = {
+    GET_STATS: "MV_GET_STATS",
+    CLASSIFY: "MV_CLASSIFY",
+    SET_OVERRIDE: "MV_SET_OVERRIDE",
+    RESCAN_TAB: "MV_RESCAN_TAB",
+    TOGGLE_SHOW_BLOCKED: "MV_TOGGLE_SHOW_BLOCKED",
+    GET_TAB_CONTEXT: "MV_GET_TAB_CONTEXT",
+    GET_BLOCKED_TILES: "MV_GET_BLOCKED_TILES",
+    REVEAL_TILE: "MV_REVEAL_TILE",
+    CLEAR_CACHE: "MV_CLEAR_CACHE",
+    GET_DECISIONS: "MV_GET_DECISIONS",
+    STORE_DECISIONS: "MV_STORE_DECISIONS",
+    SYNC_LOCAL_WRITE: "MV_SYNC_LOCAL_WRITE",
+    GET_SYNC_STATUS: "MV_GET_SYNC_STATUS",
+    SET_SYNC_ENABLED: "MV_SET_SYNC_ENABLED",
+    REPORT_TAB_STATS: "MV_REPORT_TAB_STATS",
+    REFRESH: "MV_REFRESH",
+    GET_CONTEXT: "MV_GET_CONTEXT",
+    GET_PAGE_STATS: "MV_GET_PAGE_STATS"
+  };
+
+  // Calls a callback-or-Promise messaging API and resolves with the
+  // response, or null when nobody answered.
+  function call(target, args) {
+    return new Promise((resolve) => {
+      try {
+        if (typeof target !== "function") {
+          resolve(null);
+          return;
+        }
+
+        const maybePromise = target(...args, (response) => {
+          resolve(API?.runtime?.lastError ? null : (response ?? null));
+        });
+        if (maybePromise && typeof maybePromise.then === "function") {
+          maybePromise.then((response) => resolve(response ?? null)).catch(() => resolve(null));
+        }
+      } catch (err) {
+        resolve(null);
+      }
+    });
+  }
+
+  // Send a request to the background worker.
+  function send(message) {
+    return call(API?.runtime?.sendMessage?.bind(API.runtime), [message]);
+  }
+
+  // Send a message to the content script in one tab.
+  function sendToTab(tabId, message) {
+    if (tabId == null) return Promise.resolve(null);
+    return call(API?.tabs?.sendMessage?.bind(API.tabs), [tabId, message]);
+  }
+
+  // Expose on globalThis for other scripts.
+  globalThis.MV_MESSAGES = {
+    TYPES,
+    send,
+    sendToTab
+  };
+})();
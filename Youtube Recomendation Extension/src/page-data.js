@@ -0,0 +1,326 @@
+/*
+  page-data.js
+  Runs in the page's own JavaScript world (manifest "world": "MAIN") so it
+  can read the data YouTube already embedded in the page: ytInitialData,
+  ytInitialPlayerResponse, the data sent with in-app navigation, and the
+  /youtubei/v1/ responses that load more tiles (continuations).
+
+  It only reads. For every video it finds it posts a small, plain record
+  to the content script (src/content.js), which indexes them by video ID.
+  A field a record cannot tell is null, so the content script keeps what
+  an earlier record knew. Nothing leaves the browser.
+*/
+
+(() => {
+  "use strict";
+
+  if (window.__mvPageDataInstalled) return;
+  window.__mvPageDataInstalled = true;
+
+  const MESSAGE_SOURCE = "mv-page-data";
+
+  // Tiles sit about 15 levels deep in YouTube's data; nothing deeper is read.
+  const MAX_DEPTH = 30;
+
+  // Only the requests that bring tiles (feeds, watch sidebar, search) are
+  // read. The watched video's own data arrives with navigation (source 2).
+  const YOUTUBEI_PATH = /\/youtubei\/v1\/(browse|next|search)(?:\?|$)/;
+
+  // Classic renderers that share the videoRenderer shape.
+  const VIDEO_RENDERER_KEYS = [
+    "videoRenderer",
+    "compactVideoRenderer",
+    "gridVideoRenderer",
+    "videoWithContextRenderer",
+    "playlistVideoRenderer",
+    "playlistPanelVideoRenderer",
+    "endScreenVideoRenderer",
+    "reelItemRenderer",
+    "movieRenderer"
+  ];
+
+  // YouTube Music list rows and cards.
+  const MUSIC_RENDERER_KEYS = [
+    "musicResponsiveListItemRenderer",
+    "musicTwoRowItemRenderer"
+  ];
+
+  // -----------------------------------------
+  // Small readers for YouTube's JSON shapes
+  // -----------------------------------------
+  function textOf(value) {
+    if (!value) return "";
+    if (typeof value === "string") return value;
+    if (typeof value.simpleText === "string") return value.simpleText;
+    if (typeof value.content === "string") return value.content;
+    if (Array.isArray(value.runs)) {
+      return value.runs.map((run) => run.text || "").join("");
+    }
+    return "";
+  }
+
+  // Depth-first search for the first value the test accepts.
+  function findFirst(node, test, depth = 0) {
+    if (!node || typeof node !== "object" || depth > MAX_DEPTH) return null;
+    if (test(node)) return node;
+
+    const values = Array.isArray(node) ? node : Object.values(node);
+    for (const value of values) {
+      const found = findFirst(value, test, depth + 1);
+      if (found) return found;
+    }
+    return null;
+  }
+
+  function browseEndpointOf(node) {
+    const endpoint = findFirst(node, (value) =>
+      value.browseEndpoint && /^UC/.test(value.browseEndpoint.browseId || "")
+    );
+    return endpoint ? endpoint.browseEndpoint : null;
+  }
+
+  function handleFromUrl(url) {
+    const match = (url || "").match(/(?:^|\/)(@[^/?#]+)/);
+    if (!match) return "";
+    try {
+      return decodeURIComponent(match[1]);
+    } catch (err) {
+      // A malformed escape is kept as written.
+      return match[1];
+    }
+  }
+
+  function badgeLabels(list) {
+    if (!Array.isArray(list)) return [];
+    return list
+      .map((badge) => {
+        const renderer = badge.metadataBadgeRenderer || badge.liveBadgeRenderer || {};
+        return renderer.style || textOf(renderer.label);
+      })
+      .filter(Boolean);
+  }
+
+  function isTopicChannel(channelName, node) {
+    if (/ - topic$/i.test(channelName || "")) return true;
+    const snippet = findFirst(node, (value) =>
+      typeof value.text === "string" && /auto-generated by youtube/i.test(value.text)
+    );
+    return Boolean(snippet);
+  }
+
+  // -----------------------------------------
+  // One record per video
+  // -----------------------------------------
+  function fromVideoRenderer(renderer) {
+    if (!renderer || typeof renderer.videoId !== "string") return null;
+
+    const owner = renderer.longBylineText || renderer.shortBylineText || renderer.ownerText || {};
+    const ownerRun = Array.isArray(owner.runs) ? owner.runs[0] || {} : {};
+    const endpoint = ownerRun.navigationEndpoint?.browseEndpoint || browseEndpointOf(owner) || {};
+    const channel = textOf(owner);
+
+    const overlays = Array.isArray(renderer.thumbnailOverlays) ? renderer.thumbnailOverlays : [];
+    const timeStatus = overlays
+      .map((overlay) => overlay.thumbnailOverlayTimeStatusRenderer)
+      .find(Boolean);
+
+    const badges = badgeLabels(renderer.badges);
+    const ownerBadges = badgeLabels(renderer.ownerBadges);
+    const lengthSeconds = Number(renderer.lengthSeconds);
+
+    return {
+      videoId: renderer.videoId,
+      title: textOf(renderer.title || renderer.headline),
+      channel,
+      channelId: endpoint.browseId || "",
+      channelHandle: handleFromUrl(endpoint.canonicalBaseUrl),
+      durationText: textOf(renderer.lengthText) || textOf(timeStatus?.text),
+      lengthSeconds: Number.isFinite(lengthSeconds) && lengthSeconds > 0 ? lengthSeconds : null,
+      isLive: timeStatus?.style === "LIVE" || badges.includes("BADGE_STYLE_TYPE_LIVE_NOW"),
+      isTopicChannel: isTopicChannel(channel, renderer.detailedMetadataSnippets || renderer.descriptionSnippet),
+      isVerifiedArtist: ownerBadges.includes("BADGE_STYLE_TYPE_VERIFIED_ARTIST")
+    };
+  }
+
+  // The newer "lockup" layout used on parts of the home feed and sidebar.
+  function fromLockup(lockup) {
+    if (!lockup || typeof lockup.contentId !== "string") return null;
+    if (lockup.contentType && lockup.contentType !== "LOCKUP_CONTENT_TYPE_VIDEO") return null;
+
+    const metadata = lockup.metadata?.lockupMetadataViewModel || {};
+    const rows = metadata.metadata?.contentMetadataViewModel?.metadataRows || [];
+    const firstPart = rows[0]?.metadataParts?.[0] || {};
+    const channel = textOf(firstPart.text);
+    const endpoint = browseEndpointOf(metadata) || {};
+
+    const badge = findFirst(lockup.contentImage, (value) => value.thumbnailBadgeViewModel);
+    const badgeText = badge ? textOf(badge.thumbnailBadgeViewModel.text) : "";
+
+    return {
+      videoId: lockup.contentId,
+      title: textOf(metadata.title),
+      channel,
+      channelId: endpoint.browseId || "",
+      channelHandle: handleFromUrl(endpoint.canonicalBaseUrl),
+      durationText: /^live$/i.test(badgeText) ? "" : badgeText,
+      lengthSeconds: null,
+      isLive: /^live$/i.test(badgeText),
+      isTopicChannel: isTopicChannel(channel, null),
+      isVerifiedArtist: null
+    };
+  }
+
+  function fromMusicRenderer(renderer) {
+    const watch = findFirst(renderer, (value) =>
+      value.watchEndpoint && typeof value.watchEndpoint.videoId === "string"
+    );
+    const videoId = renderer.playlistItemData?.videoId || watch?.watchEndpoint.videoId;
+    if (!videoId) return null;
+
+    const columns = (renderer.flexColumns || [])
+      .map((column) => textOf(column.musicResponsiveListItemFlexColumnRenderer?.text));
+    const title = textOf(renderer.title) || columns[0] || "";
+    const subtitle = textOf(renderer.subtitle) || columns[1] || "";
+
+    const artistRun = findFirst(renderer.subtitle || renderer.flexColumns, (value) =>
+      typeof value.text === "string" && value.navigationEndpoint?.browseEndpoint
+    );
+    const endpoint = artistRun ? artistRun.navigationEndpoint.browseEndpoint : {};
+    const channel = artistRun ? artistRun.text : "";
+
+    const fixed = (renderer.fixedColumns || [])
+      .map((column) => textOf(column.musicResponsiveListItemFixedColumnRenderer?.text))
+      .find(Boolean);
+
+    return {
+      videoId,
+      title,
+      channel,
+      channelId: /^UC/.test(endpoint.browseId || "") ? endpoint.browseId : "",
+      channelHandle: "",
+      durationText: fixed || "",
+      lengthSeconds: null,
+      isLive: null,
+      isTopicChannel: isTopicChannel(channel, null) || /auto-generated/i.test(subtitle),
+      isVerifiedArtist: null
+    };
+  }
+
+  // The video being watched (player response).
+  function fromPlayerResponse(response) {
+    const details = response?.videoDetails;
+    if (!details || typeof details.videoId !== "string") return null;
+
+    const microformat = response.microformat?.playerMicroformatRenderer || {};
+    const lengthSeconds = Number(details.lengthSeconds);
+
+    return {
+      videoId: details.videoId,
+      title: details.title || "",
+      channel: details.author || "",
+      channelId: details.channelId || "",
+      channelHandle: handleFromUrl(microformat.ownerProfileUrl),
+      durationText: "",
+      lengthSeconds: Number.isFinite(lengthSeconds) && lengthSeconds > 0 ? lengthSeconds : null,
+      isLive: Boolean(details.isLive || (details.isLiveContent && !lengthSeconds)),
+      isTopicChannel: isTopicChannel(details.author, null),
+      isVerifiedArtist: null
+    };
+  }
+
+  // -----------------------------------------
+  // Walk a response and post what we found
+  // -----------------------------------------
+  function collect(node, items, depth) {
+    if (!node || typeof node !== "object" || depth > MAX_DEPTH) return;
+
+    if (Array.isArray(node)) {
+      node.forEach((value) => collect(value, items, depth + 1));
+      return;
+    }
+
+    for (const [key, value] of Object.entries(node)) {
+      let item = null;
+      if (VIDEO_RENDERER_KEYS.includes(key)) {
+        item = fromVideoRenderer(value);
+      } else if (key === "lockupViewModel") {
+        item = fromLockup(value);
+      } else if (MUSIC_RENDERER_KEYS.includes(key)) {
+        item = fromMusicRenderer(value);
+      } else if (key === "playerResponse") {
+        item = fromPlayerResponse(value);
+      }
+
+      // A video's own data holds no other tiles, so it is not walked further.
+      if (item) {
+        items.push(item);
+      } else {
+        collect(value, items, depth + 1);
+      }
+    }
+  }
+
+  function publish(data) {
+    if (!data || typeof data !== "object") return;
+
+    const items = [];
+    try {
+      const player = fromPlayerResponse(data);
+      if (player) items.push(player);
+      collect(data, items, 0);
+    } catch (err) {
+      return;
+    }
+
+    if (items.length === 0) return;
+    window.postMessage({ source: MESSAGE_SOURCE, type: "MV_PAGE_DATA", items }, window.location.origin);
+  }
+
+  function publishInitialData() {
+    publish(window.ytInitialData);
+    publish(window.ytInitialPlayerResponse);
+  }
+
+  // -----------------------------------------
+  // Sources
+  // -----------------------------------------
+  // 1) Data embedded in the first page load.
+  if (document.readyState === "loading") {
+    document.addEventListener("DOMContentLoaded", publishInitialData, { once: true });
+  } else {
+    publishInitialData();
+  }
+
+  // 2) In-app navigation carries the next page's data in the event.
+  document.addEventListener("yt-navigate-finish", (event) => {
+    const response = event?.detail?.response;
+    if (response) {
+      publish(response.response);
+      publish(response.playerResponse);
+    } else {
+      publishInitialData();
+    }
+  });
+
+  // 3) Continuations (more tiles while scrolling, sidebar, search, YouTube Music).
+  //    Other youtubei requests (player, logging, likes, ...) are not read.
+  const originalFetch = window.fetch;
+  if (typeof originalFetch === "function") {
+    window.fetch = function (...args) {
+      const promise = originalFetch.apply(this, args);
+      try {
+        const input = args[0];
+        const url = String(input instanceof Request ? input.url : input);
+        if (YOUTUBEI_PATH.test(url)) {
+          promise
+            .then((response) => response.clone().json())
+            .then(publish)
+            .catch(() => {});
+        }
+      } catch (err) {
+        // Never let our hook break YouTube's own request.
+      }
+      return promise;
+    };
+  }
+})();
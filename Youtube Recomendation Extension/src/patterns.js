@@ -0,0 +1,121 @@
+/*
+  patterns.js
+  Parses keyword list entries that opt into regular-expression or glob syntax.
+  It is shared by the content script (matching) and the options page
+  (validation), so both agree on what a valid pattern is.
+
+  Supported prefixes:
+    re:        regular expression, matched against the normalized text
+    glob:      glob (* = any characters, ? = one character), normalized text
+    raw-re:    regular expression, matched against the raw title/channel
+    raw-glob:  glob, matched against the raw title/channel
+
+  Normalized text is lowercase words separated by single spaces, so
+  "Ep. 12" becomes "ep 12" (write re:ep \d+). Use the raw- variants for
+  punctuation such as "#shorts". Patterns match anywhere and ignore case.
+  Entries without a prefix stay plain keywords. A backslash in front of a
+  prefix keeps the entry a plain keyword: \re:zero is the keyword
+  "re:zero", not a pattern.
+*/
+
+(() => {
+  "use strict";
+
+  const PREFIXES = [
+    { prefix: "raw-re:", kind: "re", raw: true },
+    { prefix: "raw-glob:", kind: "glob", raw: true },
+    { prefix: "re:", kind: "re", raw: false },
+    { prefix: "glob:", kind: "glob", raw: false }
+  ];
+
+  const ESCAPE = "\\";
+
+  // Returns { kind, raw, source } for pattern entries, or null for plain keywords.
+  function parsePatternEntry(entry) {
+    if (typeof entry !== "string") return null;
+    const trimmed = entry.trim();
+    if (trimmed.startsWith(ESCAPE)) return null;
+    const lower = trimmed.toLowerCase();
+
+    for (const option of PREFIXES) {
+      if (lower.startsWith(option.prefix)) {
+        return {
+          kind: option.kind,
+          raw: option.raw,
+          source: trimmed.slice(option.prefix.length).trim()
+        };
+      }
+    }
+    return null;
+  }
+
+  // The keyword a plain entry stands for (an escaped prefix loses its backslash).
+  function plainKeyword(entry) {
+    const trimmed = String(entry).trim();
+    return trimmed.startsWith(ESCAPE) && parsePatternEntry(trimmed.slice(1))
+      ? trimmed.slice(1)
+      : trimmed;
+  }
+
+  function globToRegExpSource(glob) {
+    return glob
+      .split("")
+      .map((char) => {
+        if (char === "*") return ".*";
+        if (char === "?") return ".";
+        return char.replace(/[.+^${}()|[\]\\]/g, "\\$&");
+      })
+      .join("");
+  }
+
+  // Returns { entry, regex, raw }. Throws an Error with a readable message
+  // when the entry is not a usable pattern.
+  function compilePatternEntry(entry) {
+    const parsed = parsePatternEntry(entry);
+    if (!parsed) {
+      throw new Error("Not a pattern entry.");
+    }
+    if (!parsed.source) {
+      throw new Error("Pattern is empty.");
+    }
+
+    const source = parsed.kind === "glob" ? globToRegExpSource(parsed.source) : parsed.source;
+
+    let regex;
+    try {
+      regex = new RegExp(source, "i");
+    } catch (err) {
+      throw new Error(err.message);
+    }
+
+    // A pattern that matches the empty string would match every video.
+    if (regex.test("")) {
+      throw new Error("Pattern matches everything.");
+    }
+
+    return { entry: entry.trim(), regex, raw: parsed.raw };
+  }
+
+  // Checks every pattern entry in a list of lines.
+  // Returns [{ line (1-based), entry, message }] for the invalid ones.
+  function validateEntries(lines) {
+    const problems = [];
+    (lines || []).forEach((line, index) => {
+      if (!parsePatternEntry(line)) return;
+      try {
+        compilePatternEntry(line);
+      } catch (err) {
+        problems.push({ line: index + 1, entry: line.trim(), message: err.message });
+      }
+    });
+    return problems;
+  }
+
+  // Expose on globalThis for other scripts.
+  globalThis.MV_PATTERNS = {
+    parsePatternEntry,
+    plainKeyword,
+    compilePatternEntry,
+    validateEntries
+  };
+})();
@@ -0,0 +1,251 @@
+/*
+  settings-migrations.js
+  Versions the settings stored under "mvSettings" and upgrades old copies.
+  It is shared by the content script, the popup and the options page, so
+  they all read and write the same stored format.
+
+  Stored format (schemaVersion 2 and later):
+    - The default keyword lists (see DELTA_LIST_KEYS) are NOT stored in full.
+      Only the user's changes against the shipped defaults are kept:
+        listDeltas: { strongMusicKeywords: { added: [...], removed: [...] } }
+      When we ship better defaults, new keywords show up for everyone and
+      retired ones disappear, but a keyword the user removed stays removed
+      and a keyword the user added stays added.
+    - Every other setting is stored as before.
+
+  expandSettings() turns a stored copy into full settings (defaults filled
+  in, lists rebuilt). compactSettings() turns full settings back into the
+  stored format. Old copies are upgraded on the way in by MIGRATIONS.
+*/
+
+(() => {
+  "use strict";
+
+  const SCHEMA_VERSION = 3;
+
+  // Lists stored as a delta against the defaults.
+  const DELTA_LIST_KEYS = [
+    "strongMusicKeywords",
+    "moderateMusicKeywords",
+    "nonMusicKeywords",
+    "channelMusicTokens"
+  ];
+
+  // Entries read as re:/glob: patterns (src/patterns.js), and the backslash
+  // that keeps one a plain keyword.
+  const PATTERN_PREFIX = /^(raw-)?(re|glob):/i;
+  const PATTERN_ESCAPE = "\\";
+
+  function defaults() {
+    return globalThis.MV_DEFAULT_SETTINGS || {};
+  }
+
+  function isPlainObject(value) {
+    return Boolean(value) && typeof value === "object" && !Array.isArray(value);
+  }
+
+  // Keywords match case-insensitively, so "VEVO" and "vevo" are one entry.
+  function entryKey(entry) {
+    return String(entry).trim().toLowerCase();
+  }
+
+  function uniqueEntries(list) {
+    const seen = new Set();
+    const result = [];
+    (Array.isArray(list) ? list : []).forEach((entry) => {
+      if (typeof entry !== "string" || !entry.trim()) return;
+      const key = entryKey(entry);
+      if (seen.has(key)) return;
+      seen.add(key);
+      result.push(entry);
+    });
+    return result;
+  }
+
+  // -----------------------------------------
+  // List deltas
+  // -----------------------------------------
+  // What the user changed in a full list, compared to the defaults.
+  function diffList(defaultList, list) {
+    const defaultKeys = new Set(uniqueEntries(defaultList).map(entryKey));
+    const listKeys = new Set(uniqueEntries(list).map(entryKey));
+    return {
+      added: uniqueEntries(list).filter((entry) => !defaultKeys.has(entryKey(entry))),
+      removed: uniqueEntries(defaultList).filter((entry) => !listKeys.has(entryKey(entry)))
+    };
+  }
+
+  // The full list: current defaults minus removed entries, plus added ones.
+  function applyListDelta(defaultList, delta) {
+    const removed = new Set(uniqueEntries(delta?.removed).map(entryKey));
+    const list = uniqueEntries(defaultList).filter((entry) => !removed.has(entryKey(entry)));
+    const present = new Set(list.map(entryKey));
+    uniqueEntries(delta?.added).forEach((entry) => {
+      if (!present.has(entryKey(entry))) {
+        list.push(entry);
+      }
+    });
+    return list;
+  }
+
+  // Ensure a list has a delta entry to edit.
+  function deltaFor(stored, listKey) {
+    stored.listDeltas = isPlainObject(stored.listDeltas) ? stored.listDeltas : {};
+    const delta = stored.listDeltas[listKey] || {};
+    stored.listDeltas[listKey] = {
+      added: Array.isArray(delta.added) ? delta.added : [],
+      removed: Array.isArray(delta.removed) ? delta.removed : []
+    };
+    return stored.listDeltas[listKey];
+  }
+
+  // -----------------------------------------
+  // Migrations
+  // -----------------------------------------
+  // Each step upgrades a stored copy from version - 1 to version. Steps run
+  // in order on a copy, so they can change it freely (rename or convert
+  // fields, edit listDeltas); they also get the version the copy started
+  // at. Add new steps at the end and raise SCHEMA_VERSION. Keywords added
+  // to or dropped from defaults.js need no step: the deltas are applied to
+  // whatever defaults ship.
+  const MIGRATIONS = [
+    {
+      version: 2,
+      description: "Store keyword lists as changes against the defaults; Shorts switch became shortsMode.",
+      migrate(stored) {
+        // Before version 2 every save froze a full copy of each list,
+        // duplicates included. Keep only what the user changed.
+        DELTA_LIST_KEYS.forEach((listKey) => {
+          if (!Array.isArray(stored[listKey])) return;
+          const delta = deltaFor(stored, listKey);
+          const diff = diffList(defaults()[listKey], stored[listKey]);
+          delta.added = uniqueEntries([...delta.added, ...diff.added]);
+          delta.removed = uniqueEntries([...delta.removed, ...diff.removed]);
+          delete stored[listKey];
+        });
+
+        // scanContexts.shorts (on/off) was replaced by shortsMode.
+        if (isPlainObject(stored.scanContexts) && "shorts" in stored.scanContexts) {
+          if (!stored.shortsMode) {
+            stored.shortsMode = stored.scanContexts.shorts === false ? "untouched" : "music-only";
+          }
+          stored.scanContexts = { ...stored.scanContexts };
+          delete stored.scanContexts.shorts;
+        }
+      }
+    },
+    {
+      version: 3,
+      description: "Escape old keywords that look like re:/glob: patterns.",
+      migrate(stored, from) {
+        // Copies from before version 2 were saved by releases without
+        // patterns, so an entry such as "re:zero" was a plain keyword.
+        // A backslash keeps it one. Newer copies may hold real patterns.
+        if (from >= 2) return;
+        DELTA_LIST_KEYS.forEach((listKey) => {
+          const delta = stored.listDeltas?.[listKey];
+          if (!delta || !Array.isArray(delta.added)) return;
+          delta.added = delta.added.map((entry) =>
+            typeof entry === "string" && PATTERN_PREFIX.test(entry.trim())
+              ? `${PATTERN_ESCAPE}${entry.trim()}`
+              : entry
+          );
+        });
+      }
+    }
+  ];
+
+  function storedVersion(stored) {
+    const version = Number(stored?.schemaVersion);
+    return Number.isInteger(version) && version > 0 ? version : 1;
+  }
+
+  // True when the stored copy is older than this version of the extension.
+  // Nothing stored at all needs no migration.
+  function needsMigration(stored) {
+    return isPlainObject(stored) && storedVersion(stored) < SCHEMA_VERSION;
+  }
+
+  // Returns an upgraded copy of the stored settings. Copies written by a
+  // newer version are returned unchanged.
+  function migrate(stored) {
+    if (!isPlainObject(stored)) {
+      return { schemaVersion: SCHEMA_VERSION };
+    }
+
+    const copy = JSON.parse(JSON.stringify(stored));
+    const from = storedVersion(copy);
+    MIGRATIONS
+      .filter((step) => step.version > from && step.version <= SCHEMA_VERSION)
+      .sort((a, b) => a.version - b.version)
+      .forEach((step) => {
+        step.migrate(copy, from);
+        copy.schemaVersion = step.version;
+      });
+
+    if (storedVersion(copy) < SCHEMA_VERSION) {
+      copy.schemaVersion = SCHEMA_VERSION;
+    }
+    return copy;
+  }
+
+  // -----------------------------------------
+  // Stored <-> full settings
+  // -----------------------------------------
+  function expandSettings(stored) {
+    const base = defaults();
+    const current = migrate(stored);
+    const settings = { ...base };
+
+    Object.entries(current).forEach(([key, value]) => {
+      if (key === "schemaVersion" || key === "listDeltas") return;
+      // Nested groups (scanContexts, scoreWeights, ...) keep defaults for
+      // keys added after the user last saved.
+      settings[key] = isPlainObject(base[key]) && isPlainObject(value)
+        ? { ...base[key], ...value }
+        : value;
+    });
+
+    DELTA_LIST_KEYS.forEach((listKey) => {
+      // A full list written directly (e.g. by an older popup) still wins.
+      if (Array.isArray(current[listKey])) {
+        settings[listKey] = uniqueEntries(current[listKey]);
+        return;
+      }
+      const delta = isPlainObject(current.listDeltas) ? current.listDeltas[listKey] : null;
+      settings[listKey] = applyListDelta(base[listKey], delta);
+    });
+
+    return settings;
+  }
+
+  function compactSettings(settings) {
+    const base = defaults();
+    const stored = { ...(settings || {}) };
+    const listDeltas = {};
+
+    DELTA_LIST_KEYS.forEach((listKey) => {
+      if (Array.isArray(stored[listKey])) {
+        const delta = diffList(base[listKey], stored[listKey]);
+        if (delta.added.length > 0 || delta.removed.length > 0) {
+          listDeltas[listKey] = delta;
+        }
+      }
+      delete stored[listKey];
+    });
+
+    stored.listDeltas = listDeltas;
+    stored.schemaVersion = SCHEMA_VERSION;
+    return stored;
+  }
+
+  // Expose on globalThis for other scripts.
+  globalThis.MV_SETTINGS_SCHEMA = {
+    SCHEMA_VERSION,
+    DELTA_LIST_KEYS,
+    needsMigration,
+    migrate,
+    expandSettings,
+    compactSettings
+  };
+})();
@@ -0,0 +1,425 @@
+/*
+  settings-sync.js
+  Optional sync of settings, channel lists and pinned videos between
+  browsers through storage.sync. It runs only in the background worker, so
+  one context owns the bookkeeping in mvSyncState; the content script, the
+  popup and the options page reach it through messages (src/messages.js).
+
+  storage.local stays the only place the extension reads from. When sync is
+  switched on (mvSyncEnabled in storage.local, so it is a per-browser
+  choice) this script copies changes both ways:
+
+    - The data is split into records: "settings" (every plain setting),
+      one record per keyword list and channel list, and "overrides" (pins).
+    - Each record carries the time it was last changed. When two browsers
+      changed the same record, the later change wins; different records
+      never overwrite each other.
+    - storage.sync allows about 8 KB per item, so each record is stored as
+      a small head item (mvSync:<record>) plus as many text chunks as it
+      needs (mvSync:<record>:0, :1, ...).
+
+  If storage.sync is missing, full, or fails, nothing changes locally and
+  the problem is kept in mvSyncState.error for the options page to show.
+*/
+
+(() => {
+  "use strict";
+
+  const API = typeof browser !== "undefined" ? browser : chrome;
+
+  const {
+    SETTINGS_KEY,
+    OVERRIDES_KEY,
+    SYNC_ENABLED_KEY: ENABLED_KEY,
+    SYNC_STATE_KEY: STATE_KEY
+  } = globalThis.MV_SETTINGS.KEYS;
+  const { hashString } = globalThis.MV_SETTINGS;
+  const SYNC_PREFIX = "mvSync:";
+
+  const CHANNEL_LIST_KEYS = ["channelAllowList", "channelBlockList"];
+
+  // Room for the item key and JSON quoting inside the per-item quota.
+  const QUOTA_BYTES_PER_ITEM = API?.storage?.sync?.QUOTA_BYTES_PER_ITEM || 8192;
+  const CHUNK_BYTES = QUOTA_BYTES_PER_ITEM - 256;
+
+  // Many sync changes can arrive at once (one per chunk).
+  const SYNC_CHANGE_DELAY_MS = 300;
+
+  function deltaListKeys() {
+    return globalThis.MV_SETTINGS_SCHEMA?.DELTA_LIST_KEYS || [
+      "strongMusicKeywords",
+      "moderateMusicKeywords",
+      "nonMusicKeywords",
+      "channelMusicTokens"
+    ];
+  }
+
+  function recordIds() {
+    return [
+      "settings",
+      ...deltaListKeys().map((key) => `list:${key}`),
+      ...CHANNEL_LIST_KEYS.map((key) => `list:${key}`),
+      "overrides"
+    ];
+  }
+
+  // -----------------------------------------
+  // Storage calls that report errors
+  // -----------------------------------------
+  // Unlike the page helpers these reject, so a full or missing
+  // storage.sync can be told apart from an empty one.
+  function call(areaName, method, arg) {
+    return new Promise((resolve, reject) => {
+      try {
+        const area = API?.storage?.[areaName];
+        if (!area || typeof area[method] !== "function") {
+          reject(new Error(`storage.${areaName} is not available`));
+          return;
+        }
+
+        const maybePromise = area[method](arg, (result) => {
+          const error = API?.runtime?.lastError;
+          if (error) {
+            reject(new Error(error.message || String(error)));
+          } else {
+            resolve(result);
+          }
+        });
+
+        if (maybePromise && typeof maybePromise.then === "function") {
+          maybePromise.then(resolve, reject);
+        }
+      } catch (err) {
+        reject(err);
+      }
+    });
+  }
+
+  // -----------------------------------------
+  // Records
+  // -----------------------------------------
+  // JSON with sorted keys, so equal data always gives the same text/hash.
+  function stableStringify(value) {
+    if (Array.isArray(value)) {
+      return `[${value.map(stableStringify).join(",")}]`;
+    }
+    if (value && typeof value === "object") {
+      return `{${Object.keys(value).sort()
+        .filter((key) => value[key] !== undefined)
+        .map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+        .join(",")}}`;
+    }
+    return JSON.stringify(value === undefined ? null : value);
+  }
+
+  function hashRecord(value) {
+    return hashString(stableStringify(value));
+  }
+
+  // Stored settings + pins -> { recordId: value }.
+  function splitRecords(storedSettings, overrides) {
+    const settings = { ...(storedSettings || {}) };
+    const deltas = settings.listDeltas || {};
+    const records = {};
+
+    deltaListKeys().forEach((key) => {
+      records[`list:${key}`] = {
+        added: Array.isArray(deltas[key]?.added) ? deltas[key].added : [],
+        removed: Array.isArray(deltas[key]?.removed) ? deltas[key].removed : []
+      };
+    });
+    CHANNEL_LIST_KEYS.forEach((key) => {
+      records[`list:${key}`] = Array.isArray(settings[key]) ? settings[key] : [];
+      delete settings[key];
+    });
+
+    delete settings.listDeltas;
+    records.settings = settings;
+    records.overrides = overrides && typeof overrides === "object" ? overrides : {};
+    return records;
+  }
+
+  // { recordId: value } -> stored settings + pins.
+  function joinRecords(records) {
+    const settings = { ...records.settings };
+    settings.listDeltas = {};
+
+    deltaListKeys().forEach((key) => {
+      const delta = records[`list:${key}`];
+      if (delta && (delta.added?.length > 0 || delta.removed?.length > 0)) {
+        settings.listDeltas[key] = delta;
+      }
+    });
+    CHANNEL_LIST_KEYS.forEach((key) => {
+      settings[key] = records[`list:${key}`] || [];
+    });
+
+    return { settings, overrides: records.overrides || {} };
+  }
+
+  function byteLength(text) {
+    return new TextEncoder().encode(text).length;
+  }
+
+  // Splits text into pieces that fit in one sync item each.
+  function splitChunks(text) {
+    const chunks = [];
+    let start = 0;
+    while (start < text.length) {
+      let end = Math.min(text.length, start + CHUNK_BYTES);
+      while (end - start > 1 && byteLength(JSON.stringify(text.slice(start, end))) > CHUNK_BYTES) {
+        end = start + Math.floor((end - start) * 0.75);
+      }
+      // Never cut a surrogate pair in half.
+      const last = text.charCodeAt(end - 1);
+      if (end < text.length && end - start > 1 && last >= 0xd800 && last <= 0xdbff) {
+        end -= 1;
+      }
+      chunks.push(text.slice(start, end));
+      start = end;
+    }
+    return chunks.length > 0 ? chunks : [""];
+  }
+
+  // Returns { ts, hash, value } or null when missing or half written.
+  function readRecord(all, id) {
+    const head = all[`${SYNC_PREFIX}${id}`];
+    if (!head || typeof head !== "object" || !Number.isInteger(head.chunks)) return null;
+
+    let text = "";
+    for (let i = 0; i < head.chunks; i += 1) {
+      const chunk = all[`${SYNC_PREFIX}${id}:${i}`];
+      if (typeof chunk !== "string") return null;
+      text += chunk;
+    }
+    if (hashString(text) !== head.hash) return null;
+
+    try {
+      return { ts: Number(head.ts) || 0, hash: head.hash, value: JSON.parse(text) };
+    } catch (err) {
+      return null;
+    }
+  }
+
+  async function writeRecord(all, id, value, ts) {
+    const text = stableStringify(value);
+    const chunks = splitChunks(text);
+    const items = {
+      [`${SYNC_PREFIX}${id}`]: { ts, hash: hashString(text), chunks: chunks.length }
+    };
+    chunks.forEach((chunk, index) => {
+      items[`${SYNC_PREFIX}${id}:${index}`] = chunk;
+    });
+    await call("sync", "set", items);
+
+    // Drop chunks left over from a longer previous version.
+    const stale = Object.keys(all).filter((key) => {
+      const match = key.match(/^mvSync:(.+):(\d+)$/);
+      return match && match[1] === id && Number(match[2]) >= chunks.length;
+    });
+    if (stale.length > 0) {
+      await call("sync", "remove", stale).catch(() => {});
+    }
+  }
+
+  // -----------------------------------------
+  // Local bookkeeping
+  // -----------------------------------------
+  function normalizeState(state) {
+    const current = state && typeof state === "object" ? state : {};
+    return {
+      records: current.records && typeof current.records === "object" ? { ...current.records } : {},
+      lastSync: Number(current.lastSync) || 0,
+      error: typeof current.error === "string" ? current.error : ""
+    };
+  }
+
+  async function readLocal() {
+    const data = await call("local", "get", {
+      [SETTINGS_KEY]: null,
+      [OVERRIDES_KEY]: {},
+      [STATE_KEY]: null,
+      [ENABLED_KEY]: false
+    });
+    return {
+      records: splitRecords(data[SETTINGS_KEY], data[OVERRIDES_KEY]),
+      state: normalizeState(data[STATE_KEY]),
+      enabled: data[ENABLED_KEY] === true
+    };
+  }
+
+  // One task at a time, so two writes never clobber the bookkeeping.
+  let queue = Promise.resolve();
+  function enqueue(task) {
+    const run = queue.then(task, task);
+    queue = run.catch(() => {});
+    return run;
+  }
+
+  // -----------------------------------------
+  // Reconcile local and sync, record by record
+  // -----------------------------------------
+  async function reconcileOnce() {
+    const local = await readLocal();
+    if (!local.enabled) return;
+
+    const { records, state } = local;
+    let remote;
+    try {
+      remote = await call("sync", "get", null);
+    } catch (err) {
+      state.error = `Sync is not available (${err.message}). Settings stay on this browser.`;
+      await call("local", "set", { [STATE_KEY]: state }).catch(() => {});
+      return;
+    }
+
+    const adopted = new Set();
+    const errors = [];
+
+    for (const id of recordIds()) {
+      const currentHash = hashRecord(records[id]);
+      const mine = state.records[id] || { ts: 0, hash: currentHash };
+      const theirs = readRecord(remote || {}, id);
+
+      // A record never changed here (time 0) takes the synced copy, so a
+      // browser that joins later adopts what is already in sync.
+      if (theirs && (theirs.ts > mine.ts || (mine.ts === 0 && theirs.hash !== currentHash))) {
+        if (theirs.hash !== currentHash) {
+          records[id] = theirs.value;
+          adopted.add(id);
+        }
+        state.records[id] = { ts: theirs.ts, hash: theirs.hash };
+      } else if (!theirs || mine.ts > theirs.ts) {
+        try {
+          await writeRecord(remote || {}, id, records[id], mine.ts);
+          state.records[id] = { ts: mine.ts, hash: currentHash };
+        } catch (err) {
+          errors.push(`${id}: ${err.message}`);
+        }
+      }
+    }
+
+    const update = {};
+    if (adopted.size > 0) {
+      const joined = joinRecords(records);
+      if ([...adopted].some((id) => id !== "overrides")) {
+        update[SETTINGS_KEY] = joined.settings;
+      }
+      if (adopted.has("overrides")) {
+        update[OVERRIDES_KEY] = joined.overrides;
+      }
+    }
+
+    state.lastSync = Date.now();
+    state.error = errors.length > 0
+      ? `Some data did not fit in sync and stays on this browser (${errors.join("; ")}).`
+      : "";
+    update[STATE_KEY] = state;
+    await call("local", "set", update);
+  }
+
+  function reconcile() {
+    return enqueue(() => reconcileOnce().catch(() => {}));
+  }
+
+  // Record which records a local write changed, with the time of the change.
+  // Records seen for the first time get time 0 (their history is unknown),
+  // so an older copy in sync still wins over them.
+  async function recordChanges(ids) {
+    const { records, state, enabled } = await readLocal();
+    const now = Date.now();
+    let changed = false;
+
+    ids.forEach((id) => {
+      const hash = hashRecord(records[id]);
+      const previous = state.records[id];
+      if (!previous) {
+        state.records[id] = { ts: 0, hash };
+        changed = true;
+      } else if (previous.hash !== hash) {
+        state.records[id] = { ts: now, hash };
+        changed = true;
+      }
+    });
+
+    if (changed) {
+      await call("local", "set", { [STATE_KEY]: state });
+    }
+    return enabled && changed;
+  }
+
+  // -----------------------------------------
+  // Public helpers
+  // -----------------------------------------
+  // Call after writing to storage.local, with the storage keys written.
+  // Only settings and pins matter.
+  function recordLocalWrite(keys) {
+    const written = Array.isArray(keys) ? keys : [];
+    if (!written.includes(SETTINGS_KEY) && !written.includes(OVERRIDES_KEY)) {
+      return Promise.resolve();
+    }
+
+    const ids = recordIds().filter((id) =>
+      written.includes(id === "overrides" ? OVERRIDES_KEY : SETTINGS_KEY)
+    );
+    return enqueue(() => recordChanges(ids).catch(() => false)).then((push) => {
+      if (push) return reconcile();
+      return undefined;
+    });
+  }
+
+  // Call once when the worker starts.
+  function init() {
+    return enqueue(() => recordChanges(recordIds()).catch(() => false)).then(reconcile);
+  }
+
+  // Follow changes made in other browsers.
+  let watching = false;
+  let changeTimer = null;
+  function watch() {
+    if (watching || !API?.storage?.onChanged) return;
+    watching = true;
+
+    API.storage.onChanged.addListener((changes, area) => {
+      if (area !== "sync") return;
+      if (!Object.keys(changes).some((key) => key.startsWith(SYNC_PREFIX))) return;
+      clearTimeout(changeTimer);
+      changeTimer = setTimeout(reconcile, SYNC_CHANGE_DELAY_MS);
+    });
+  }
+
+  async function getStatus() {
+    const data = await call("local", "get", { [ENABLED_KEY]: false, [STATE_KEY]: null }).catch(() => ({}));
+    const state = normalizeState(data[STATE_KEY]);
+    return {
+      available: Boolean(API?.storage?.sync),
+      enabled: data[ENABLED_KEY] === true,
+      lastSync: state.lastSync,
+      error: state.error
+    };
+  }
+
+  async function setEnabled(enabled) {
+    if (enabled && !API?.storage?.sync) {
+      return getStatus();
+    }
+    await call("local", "set", { [ENABLED_KEY]: Boolean(enabled) });
+    if (enabled) {
+      await reconcile();
+    } else {
+      const data = await call("local", "get", { [STATE_KEY]: null }).catch(() => ({}));
+      await call("local", "set", { [STATE_KEY]: { ...normalizeState(data[STATE_KEY]), error: "" } }).catch(() => {});
+    }
+    return getStatus();
+  }
+
+  // Expose on globalThis for other scripts.
+  globalThis.MV_SETTINGS_SYNC = {
+    init,
+    watch,
+    recordLocalWrite,
+    reconcile,
+    getStatus,
+    setEnabled
+  };
+})();
@@ -0,0 +1,337 @@
+/*
+  settings.js
+  The one place that reads and writes the extension's storage. It is loaded
+  by the background worker, the content script, the popup and the options
+  page (after defaults.js and settings-migrations.js), so storage keys,
+  defaults merging, value checks and change handling are written once.
+
+  A new setting only needs a default in src/defaults.js (and, for a fixed
+  set of choices, an entry in CHOICES below).
+*/
+
+(() => {
+  "use strict";
+
+  const API = typeof browser !== "undefined" ? browser : chrome;
+  const DEFAULTS = globalThis.MV_DEFAULT_SETTINGS || {};
+
+  // Storage keys so we do not collide with other extensions.
+  const KEYS = {
+    SETTINGS_KEY: "mvSettings",
+    CACHE_KEY: "mvCache",
+    OVERRIDES_KEY: "mvOverrides",
+    FILTER_LISTS_KEY: "mvFilterLists",
+    SYNC_ENABLED_KEY: "mvSyncEnabled",
+    SYNC_STATE_KEY: "mvSyncState"
+  };
+
+  // Settings that only accept one of a few values.
+  const CHOICES = {
+    defaultPolicy: ["show", "hide"],
+    classifierMode: ["cascade", "score"],
+    shortsMode: ["untouched", "music-only", "hide-all"],
+    blockedDisplay: ["hide", "placeholder"],
+    liveWithoutDurationPolicy: ["classify", "show", "hide"]
+  };
+
+  // Values allowed inside nested groups, by group.
+  const GROUP_CHOICES = {
+    structuralVerdicts: ["music", "non-music", "classify"]
+  };
+
+  // Numbers that may be negative. Every other number must be 0 or more.
+  // Every score weight may be negative too.
+  const SIGNED_NUMBERS = ["scoreThreshold"];
+  const SIGNED_GROUPS = ["scoreWeights"];
+
+  // -----------------------------------------
+  // Storage helpers (Promise-based so we can `await` them)
+  // -----------------------------------------
+  function storageGet(defaults) {
+    return new Promise((resolve) => {
+      try {
+        if (API?.storage?.local?.get) {
+          const maybePromise = API.storage.local.get(defaults, (result) => {
+            if (API?.runtime?.lastError) {
+              resolve(defaults);
+            } else {
+              resolve(result);
+            }
+          });
+
+          // If the API returns a Promise (Firefox), use it.
+          if (maybePromise && typeof maybePromise.then === "function") {
+            maybePromise.then(resolve).catch(() => resolve(defaults));
+          }
+        } else {
+          resolve(defaults);
+        }
+      } catch (err) {
+        resolve(defaults);
+      }
+    });
+  }
+
+  function storageSet(data) {
+    const written = new Promise((resolve) => {
+      try {
+        if (API?.storage?.local?.set) {
+          const maybePromise = API.storage.local.set(data, () => resolve());
+          if (maybePromise && typeof maybePromise.then === "function") {
+            maybePromise.then(resolve).catch(resolve);
+          }
+        } else {
+          resolve();
+        }
+      } catch (err) {
+        resolve();
+      }
+    });
+
+    // Settings and pin changes are noted for sync (src/settings-sync.js).
+    // Only the background worker keeps that bookkeeping; other pages tell
+    // it which keys they wrote.
+    return written.then(() => {
+      const keys = Object.keys(data || {});
+      if (!keys.includes(KEYS.SETTINGS_KEY) && !keys.includes(KEYS.OVERRIDES_KEY)) return;
+
+      const sync = globalThis.MV_SETTINGS_SYNC;
+      const messages = globalThis.MV_MESSAGES;
+      if (sync) {
+        sync.recordLocalWrite(keys);
+      } else if (messages) {
+        messages.send({ type: messages.TYPES.SYNC_LOCAL_WRITE, keys });
+      }
+    });
+  }
+
+  // -----------------------------------------
+  // Change detection
+  // -----------------------------------------
+  // Used for the decision cache fingerprint (content script) and the sync
+  // records (src/settings-sync.js). Small, fast string hash (FNV-1a); it
+  // only needs to notice that something changed.
+  function hashString(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i += 1) {
+      hash ^= text.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193) >>> 0;
+    }
+    return hash.toString(16);
+  }
+
+  // -----------------------------------------
+  // Full settings <-> stored copy
+  // -----------------------------------------
+  // Stored settings keep only the user's changes to the default lists
+  // (src/settings-migrations.js), so reads and writes go through these.
+  function expand(stored) {
+    const schema = globalThis.MV_SETTINGS_SCHEMA;
+    return schema ? schema.expandSettings(stored) : { ...DEFAULTS, ...(stored || {}) };
+  }
+
+  function compact(settings) {
+    const schema = globalThis.MV_SETTINGS_SCHEMA;
+    return schema ? schema.compactSettings(settings) : settings;
+  }
+
+  function needsMigration(stored) {
+    const schema = globalThis.MV_SETTINGS_SCHEMA;
+    return Boolean(schema && schema.needsMigration(stored));
+  }
+
+  async function load() {
+    const data = await storageGet({ [KEYS.SETTINGS_KEY]: null });
+    return expand(data[KEYS.SETTINGS_KEY]);
+  }
+
+  function save(settings) {
+    return storageSet({ [KEYS.SETTINGS_KEY]: compact(settings) });
+  }
+
+  // Start from what is stored so settings edited elsewhere survive.
+  async function update(changes) {
+    const next = { ...(await load()), ...changes };
+    await save(next);
+    return next;
+  }
+
+  // Settings saved by an older version are upgraded once and written back.
+  async function migrateStored() {
+    const data = await storageGet({ [KEYS.SETTINGS_KEY]: null });
+    if (needsMigration(data[KEYS.SETTINGS_KEY])) {
+      await save(expand(data[KEYS.SETTINGS_KEY]));
+    }
+  }
+
+  // -----------------------------------------
+  // Types and validation
+  // -----------------------------------------
+  function typeOf(value) {
+    if (Array.isArray(value)) return "array";
+    if (value === null) return "null";
+    return typeof value;
+  }
+
+  // Returns "" when the value is acceptable for the setting, otherwise a
+  // readable reason.
+  function validateValue(key, value) {
+    if (!Object.prototype.hasOwnProperty.call(DEFAULTS, key)) {
+      return `Unknown setting "${key}".`;
+    }
+
+    const expected = typeOf(DEFAULTS[key]);
+    if (typeOf(value) !== expected) {
+      return `"${key}" should be ${expected === "array" ? "a list" : `a ${expected}`}.`;
+    }
+    if (expected === "array" && !value.every((entry) => typeof entry === "string")) {
+      return `"${key}" must be a list of text entries.`;
+    }
+    if (CHOICES[key] && !CHOICES[key].includes(value)) {
+      return `"${key}" must be one of: ${CHOICES[key].join(", ")}.`;
+    }
+    if (expected === "number" &&
+        (!Number.isFinite(value) || (!SIGNED_NUMBERS.includes(key) && value < 0))) {
+      return `"${key}" must be a number of 0 or more.`;
+    }
+    if (key === "contextProfiles") {
+      return validateProfiles(value);
+    }
+    if (expected === "object") {
+      return validateGroup(key, value);
+    }
+    return "";
+  }
+
+  // Groups such as scanContexts or scoreWeights: only the entries the
+  // defaults have, each with the default's type. Missing entries are fine.
+  function validateGroup(key, group) {
+    const defaults = DEFAULTS[key] || {};
+    for (const [name, value] of Object.entries(group)) {
+      if (!Object.prototype.hasOwnProperty.call(defaults, name)) {
+        return `"${key}" has no entry "${name}".`;
+      }
+
+      const expected = typeOf(defaults[name]);
+      if (typeOf(value) !== expected) {
+        return `"${key}.${name}" should be a ${expected}.`;
+      }
+      if (GROUP_CHOICES[key] && !GROUP_CHOICES[key].includes(value)) {
+        return `"${key}.${name}" must be one of: ${GROUP_CHOICES[key].join(", ")}.`;
+      }
+      if (expected === "number" &&
+          (!Number.isFinite(value) || (!SIGNED_GROUPS.includes(key) && value < 0))) {
+        return `"${key}.${name}" must be a number of 0 or more.`;
+      }
+    }
+    return "";
+  }
+
+  // contextProfiles: { [context id]: { [profile key]: value } }, where a
+  // null value means "use the global setting".
+  function validateProfiles(profiles) {
+    const contextIds = (globalThis.MV_SCAN_CONTEXTS || []).map((context) => context.id);
+    const profileKeys = globalThis.MV_PROFILE_KEYS || [];
+
+    for (const [contextId, profile] of Object.entries(profiles)) {
+      if (!contextIds.includes(contextId)) {
+        return `"contextProfiles" has no page context "${contextId}".`;
+      }
+      if (typeOf(profile) !== "object") {
+        return `"contextProfiles.${contextId}" should be an object.`;
+      }
+
+      for (const [key, value] of Object.entries(profile)) {
+        if (!profileKeys.includes(key)) {
+          return `"contextProfiles.${contextId}" cannot set "${key}".`;
+        }
+        const problem = value === null ? "" : validateValue(key, value);
+        if (problem) {
+          return `"contextProfiles.${contextId}": ${problem}`;
+        }
+      }
+    }
+    return "";
+  }
+
+  // -----------------------------------------
+  // Typed getters (fall back to the default when the value is unusable)
+  // -----------------------------------------
+  function getNumber(settings, key) {
+    const value = Number(settings?.[key]);
+    return Number.isFinite(value) && !validateValue(key, value) ? value : DEFAULTS[key];
+  }
+
+  function getBoolean(settings, key) {
+    const value = settings?.[key];
+    return typeof value === "boolean" ? value : Boolean(DEFAULTS[key]);
+  }
+
+  function getChoice(settings, key) {
+    const value = settings?.[key];
+    return CHOICES[key] && CHOICES[key].includes(value) ? value : DEFAULTS[key];
+  }
+
+  function getList(settings, key) {
+    const value = settings?.[key];
+    return Array.isArray(value) ? value : [...(DEFAULTS[key] || [])];
+  }
+
+  // Nested groups (scanContexts, scoreWeights, ...) with defaults filled in.
+  function getGroup(settings, key) {
+    const value = settings?.[key];
+    return { ...(DEFAULTS[key] || {}), ...(typeOf(value) === "object" ? value : {}) };
+  }
+
+  // -----------------------------------------
+  // Change subscriptions
+  // -----------------------------------------
+  // handlers: { [storage key]: (newValue, change) => void }. The settings
+  // key receives full settings (defaults merged in) rather than the stored
+  // copy. Only storage.local changes are reported.
+  function subscribe(handlers) {
+    if (!API?.storage?.onChanged) return;
+
+    API.storage.onChanged.addListener((changes, area) => {
+      if (area !== "local") return;
+
+      Object.entries(handlers).forEach(([key, handler]) => {
+        const change = changes[key];
+        if (!change || typeof handler !== "function") return;
+
+        if (key === KEYS.SETTINGS_KEY) {
+          const stored = change.newValue;
+          if (stored && typeof stored === "object") {
+            handler(expand(stored), change);
+          }
+          return;
+        }
+        handler(change.newValue, change);
+      });
+    });
+  }
+
+  // Expose on globalThis for other scripts.
+  globalThis.MV_SETTINGS = {
+    KEYS,
+    DEFAULTS,
+    CHOICES,
+    storageGet,
+    storageSet,
+    hashString,
+    expand,
+    compact,
+    load,
+    save,
+    update,
+    migrateStored,
+    typeOf,
+    validateValue,
+    getNumber,
+    getBoolean,
+    getChoice,
+    getList,
+    getGroup,
+    subscribe
+  };
+})();